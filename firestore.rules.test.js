@@ -0,0 +1,217 @@
+// Security rule tests for firestore.rules, run against the Firestore emulator:
+//
+//   npm run test:rules
+//
+// which starts the emulator with `firebase emulators:exec` (the Firebase CLI and Java are
+// needed) and points these tests at it. Under a plain `npm test` there is no emulator, so
+// they're skipped.
+
+import { readFileSync } from 'node:fs'
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing'
+import {
+  Timestamp,
+  collection,
+  doc,
+  increment,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  writeBatch,
+} from 'firebase/firestore'
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest'
+import { solveProofOfWork, voteChallenge } from './src/proofOfWork.js'
+
+const POLL_ID = 'mayor'
+const ANONYMOUS = { firebase: { sign_in_provider: 'anonymous' } }
+const MINUTE_AGO = () => Timestamp.fromMillis(Date.now() - 60 * 1000)
+
+let testEnv
+
+// Seed documents with the rules off, as the console or the seed script would.
+async function seed(path, data) {
+  await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data))
+}
+
+async function seedPoll(fields = {}) {
+  await seed(`polls/${POLL_ID}`, {
+    title: 'Who should be mayor?',
+    options: { alice: { label: 'Alice', order: 0 }, bob: { label: 'Bob', order: 1 } },
+    opensAt: null,
+    closesAt: null,
+    resultsVisibility: 'always',
+    order: 0,
+    ...fields,
+  })
+}
+
+// A voter who voted `choice` a minute ago, counted on shard 0.
+async function seedBallot(uid, choice) {
+  await seed(`polls/${POLL_ID}/ballots/${uid}`, {
+    choice,
+    shard: '0',
+    lastEvent: 'earlier',
+    pow: '0',
+    createdAt: MINUTE_AGO(),
+    updatedAt: MINUTE_AGO(),
+  })
+  await seed(`polls/${POLL_ID}/shards/0`, { counts: { [choice]: 1 }, updatedAt: MINUTE_AGO() })
+}
+
+function voterDb(uid) {
+  return testEnv.authenticatedContext(uid, ANONYMOUS).firestore()
+}
+
+/**
+ * Write a vote the way castBallot() in src/votes.js does (ballot, shard and event in one
+ * batch), with overrides for the parts a test wants to get wrong.
+ */
+async function vote(db, uid, choice, { previous = null, ballotUid = uid, add = 1, remove = -1, ballot = {} } = {}) {
+  const eventRef = doc(collection(db, 'polls', POLL_ID, 'events'))
+  const counts = { [choice]: increment(add) }
+  if (previous) counts[previous] = increment(remove)
+
+  const batch = writeBatch(db)
+  batch.set(
+    doc(db, 'polls', POLL_ID, 'ballots', ballotUid),
+    {
+      choice,
+      shard: '0',
+      lastEvent: eventRef.id,
+      pow: await solveProofOfWork(voteChallenge(POLL_ID, ballotUid, eventRef.id)),
+      ...(previous ? {} : { createdAt: serverTimestamp() }),
+      updatedAt: serverTimestamp(),
+      ...ballot,
+    },
+    { merge: true },
+  )
+  batch.set(doc(db, 'polls', POLL_ID, 'shards', '0'), { counts, updatedAt: serverTimestamp() }, { merge: true })
+  batch.set(eventRef, { choice, previous, at: serverTimestamp() })
+  return batch.commit()
+}
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('firestore.rules', () => {
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-votemayer-rules',
+      firestore: { rules: readFileSync(new URL('./firestore.rules', import.meta.url), 'utf8') },
+    })
+  })
+
+  afterAll(() => testEnv?.cleanup())
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore()
+    await seedPoll()
+  })
+
+  describe('votes', () => {
+    it('accepts a first vote that adds one to its shard', async () => {
+      await assertSucceeds(vote(voterDb('v1'), 'v1', 'alice'))
+    })
+
+    it('accepts a switch that moves one count between options', async () => {
+      await seedBallot('v1', 'alice')
+      await assertSucceeds(vote(voterDb('v1'), 'v1', 'bob', { previous: 'alice' }))
+    })
+
+    it('refuses a shard that moves by +2', async () => {
+      await assertFails(vote(voterDb('v1'), 'v1', 'alice', { add: 2 }))
+    })
+
+    it('refuses a switch that takes 2 from the old option', async () => {
+      await seedBallot('v1', 'alice')
+      await seed(`polls/${POLL_ID}/shards/0`, { counts: { alice: 5 }, updatedAt: MINUTE_AGO() })
+      await assertFails(vote(voterDb('v1'), 'v1', 'bob', { previous: 'alice', remove: -2 }))
+    })
+
+    it("refuses a write to another voter's ballot", async () => {
+      await assertFails(vote(voterDb('v1'), 'v1', 'alice', { ballotUid: 'v2' }))
+    })
+
+    it('refuses a ballot whose proof of work does not solve the challenge', async () => {
+      await assertFails(vote(voterDb('v1'), 'v1', 'alice', { ballot: { pow: 'not-a-solution' } }))
+    })
+
+    it('refuses a second change within 10 seconds', async () => {
+      await seedBallot('v1', 'alice')
+      await seed(`polls/${POLL_ID}/ballots/v1`, {
+        choice: 'alice',
+        shard: '0',
+        lastEvent: 'earlier',
+        pow: '0',
+        createdAt: MINUTE_AGO(),
+        updatedAt: Timestamp.now(),
+      })
+      await assertFails(vote(voterDb('v1'), 'v1', 'bob', { previous: 'alice' }))
+    })
+
+    it('refuses an option the poll does not have', async () => {
+      await assertFails(vote(voterDb('v1'), 'v1', 'carol'))
+    })
+  })
+
+  describe('createdAt', () => {
+    it('refuses a first vote that backdates it', async () => {
+      await assertFails(vote(voterDb('v1'), 'v1', 'alice', { ballot: { createdAt: MINUTE_AGO() } }))
+    })
+
+    it('refuses a switch that edits it', async () => {
+      await seedBallot('v1', 'alice')
+      await assertFails(
+        vote(voterDb('v1'), 'v1', 'bob', { previous: 'alice', ballot: { createdAt: Timestamp.fromMillis(0) } }),
+      )
+    })
+
+    it('refuses editing it on its own', async () => {
+      await seedBallot('v1', 'alice')
+      await assertFails(
+        updateDoc(doc(voterDb('v1'), 'polls', POLL_ID, 'ballots', 'v1'), { createdAt: Timestamp.fromMillis(0) }),
+      )
+    })
+  })
+
+  describe('poll schedule', () => {
+    it('refuses a vote on a frozen poll', async () => {
+      await seedPoll({ frozen: true })
+      await assertFails(vote(voterDb('v1'), 'v1', 'alice'))
+    })
+
+    it('refuses a vote on a closed poll', async () => {
+      await seedPoll({ closesAt: MINUTE_AGO() })
+      await assertFails(vote(voterDb('v1'), 'v1', 'alice'))
+    })
+
+    it('refuses a vote before the poll opens', async () => {
+      await seedPoll({ opensAt: Timestamp.fromMillis(Date.now() + 60 * 60 * 1000) })
+      await assertFails(vote(voterDb('v1'), 'v1', 'alice'))
+    })
+  })
+
+  describe('staff', () => {
+    const STAFF = { email: 'staff@example.test', firebase: { sign_in_provider: 'password' } }
+
+    beforeEach(async () => {
+      await seed('admins/staff', {})
+    })
+
+    it('lets email-signed-in staff freeze a poll', async () => {
+      const db = testEnv.authenticatedContext('staff', STAFF).firestore()
+      await assertSucceeds(updateDoc(doc(db, 'polls', POLL_ID), { frozen: true }))
+    })
+
+    it('refuses an anonymous session even with an admins entry', async () => {
+      const db = testEnv.authenticatedContext('staff', ANONYMOUS).firestore()
+      await assertFails(updateDoc(doc(db, 'polls', POLL_ID), { frozen: true }))
+    })
+
+    it('refuses a voter freezing a poll', async () => {
+      await assertFails(updateDoc(doc(voterDb('v1'), 'polls', POLL_ID), { frozen: true }))
+    })
+
+    it('refuses editing an audit entry', async () => {
+      await seed('audit/entry', { action: 'freeze', pollId: POLL_ID, uid: 'staff', email: STAFF.email, details: {} })
+      const db = testEnv.authenticatedContext('staff', STAFF).firestore()
+      await assertFails(updateDoc(doc(db, 'audit', 'entry'), { action: 'reset' }))
+    })
+  })
+})
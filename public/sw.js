@@ -0,0 +1,83 @@
+// Service worker: keeps the app shell and the overdose data so the chart still loads with no
+// network. Data and pages are network-first (fresh when online, cached copy when not); Vite's
+// hashed build assets never change, so they're served from the cache once fetched.
+//
+// The page registers this worker after its own scripts and styles have loaded, so those
+// requests never pass through it. Install therefore caches every asset the build lists in
+// /precache-manifest.json (written by the plugin in vite.config.js), not just the page.
+
+const CACHE = 'votemayer-v1'
+const PRECACHE = ['/', '/data/overdoseRates.csv', '/data/releases.json', '/data/manifest.json']
+const ASSET_MANIFEST = '/precache-manifest.json'
+
+async function builtAssets() {
+  const response = await fetch(ASSET_MANIFEST, { cache: 'no-store' })
+  if (!response.ok) throw new Error(`${ASSET_MANIFEST}: ${response.status}`)
+  const { assets } = await response.json()
+  return assets
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE)
+      // Without the bundles the cached page would be blank offline, so they have to make it;
+      // a missing optional data file shouldn't stop the worker from installing.
+      await cache.addAll(await builtAssets())
+      await Promise.allSettled(PRECACHE.map((path) => cache.add(path)))
+    })(),
+  )
+  self.skipWaiting()
+})
+
+// Drop older caches, and assets from earlier builds that this one no longer lists.
+async function pruneCaches() {
+  const keys = await caches.keys()
+  await Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key)))
+
+  const current = new Set(await builtAssets().catch(() => []))
+  if (current.size === 0) return
+  const cache = await caches.open(CACHE)
+  for (const request of await cache.keys()) {
+    const { pathname } = new URL(request.url)
+    if (pathname.startsWith('/assets/') && !current.has(pathname)) await cache.delete(request)
+  }
+}
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(pruneCaches().then(() => self.clients.claim()))
+})
+
+async function networkFirst(request, fallbackPath) {
+  const cache = await caches.open(CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put(fallbackPath ?? request, response.clone())
+    return response
+  } catch (e) {
+    const cached = await cache.match(fallbackPath ?? request)
+    if (cached) return cached
+    throw e
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  // Firestore, Auth and anything else off-site handle their own offline behaviour.
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  // Every route is the same single page (see the hosting rewrite in firebase.json).
+  if (request.mode === 'navigate') event.respondWith(networkFirst(request, '/'))
+  else if (url.pathname.startsWith('/data/')) event.respondWith(networkFirst(request))
+  else if (url.pathname.startsWith('/assets/')) event.respondWith(cacheFirst(request))
+})
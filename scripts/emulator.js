@@ -0,0 +1,59 @@
+// Helpers for scripts that talk to the local Firebase emulators. Writes go through the
+// Firestore emulator's REST API with the `owner` token, which skips security rules, so
+// scripts can create polls and historical data that clients never could.
+
+export const PROJECT_ID = process.env.GCLOUD_PROJECT ?? 'demo-votemayer'
+export const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST ?? '127.0.0.1:8080'
+export const AUTH_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST ?? '127.0.0.1:9099'
+
+const DATABASE = `projects/${PROJECT_ID}/databases/(default)`
+const DOCUMENTS = `${DATABASE}/documents`
+
+// Firestore's REST representation of a plain JS value.
+function toValue(value) {
+  if (value === null || value === undefined) return { nullValue: null }
+  if (value instanceof Date) return { timestampValue: value.toISOString() }
+  if (typeof value === 'boolean') return { booleanValue: value }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value }
+  }
+  if (typeof value === 'string') return { stringValue: value }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toValue) } }
+  return { mapValue: { fields: toFields(value) } }
+}
+
+function toFields(data) {
+  return Object.fromEntries(Object.entries(data).map(([k, v]) => [k, toValue(v)]))
+}
+
+async function request(method, path, body) {
+  const res = await fetch(`http://${FIRESTORE_HOST}${path}`, {
+    method,
+    headers: { Authorization: 'Bearer owner', 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  })
+  if (!res.ok) throw new Error(`${method} ${path} failed (HTTP ${res.status}): ${await res.text()}`)
+  return res
+}
+
+/**
+ * Write whole documents, replacing any existing ones. Paths are relative to the database
+ * root, e.g. `polls/position/ballots/abc`.
+ *
+ * @param {{ path: string, data: object }[]} docs
+ */
+export async function writeDocuments(docs) {
+  // A commit takes at most 500 writes.
+  for (let i = 0; i < docs.length; i += 500) {
+    await request('POST', `/v1/${DATABASE}/documents:commit`, {
+      writes: docs.slice(i, i + 500).map(({ path, data }) => ({
+        update: { name: `${DOCUMENTS}/${path}`, fields: toFields(data) },
+      })),
+    })
+  }
+}
+
+/** Delete every document in the emulator's database. */
+export async function clearFirestore() {
+  await request('DELETE', `/emulator/v1/${DOCUMENTS}`)
+}
@@ -0,0 +1,122 @@
+// Burst-vote load test against the local Firebase emulators.
+//
+//   npm run emulators
+//   npm run loadtest:votes -- --voters 300 --switch 0.25
+//
+// A throwaway for/against poll is created first. Every simulated voter then signs in
+// anonymously and votes at the same moment through the same castBallot() the app uses,
+// proof of work included; a share of them then switch sides once the per-ballot throttle
+// allows it. Afterwards the summed shards must equal what the voters ended up choosing, and
+// no vote may have failed.
+
+import { setTimeout as sleep } from 'node:timers/promises'
+import { parseArgs } from 'node:util'
+import { deleteApp, initializeApp } from 'firebase/app'
+import { connectAuthEmulator, getAuth, signInAnonymously } from 'firebase/auth'
+import { collection, connectFirestoreEmulator, getDocs, getFirestore } from 'firebase/firestore'
+import { MIN_VOTE_INTERVAL_MS, castBallot } from '../src/votes.js'
+import { AUTH_HOST, FIRESTORE_HOST, PROJECT_ID, writeDocuments } from './emulator.js'
+
+const { values } = parseArgs({
+  options: {
+    voters: { type: 'string', default: '200' },
+    switch: { type: 'string', default: '0.2' },
+    poll: { type: 'string', default: `loadtest-${Date.now()}` },
+  },
+})
+
+const voterCount = Number(values.voters)
+const switchShare = Number(values.switch)
+const pollId = values.poll
+
+function connect(name) {
+  const app = initializeApp({ apiKey: 'demo-key', projectId: PROJECT_ID }, name)
+  const auth = getAuth(app)
+  connectAuthEmulator(auth, `http://${AUTH_HOST}`, { disableWarnings: true })
+  const db = getFirestore(app)
+  const [host, port] = FIRESTORE_HOST.split(':')
+  connectFirestoreEmulator(db, host, Number(port))
+  return { app, auth, db }
+}
+
+function createPoll() {
+  return writeDocuments([
+    {
+      path: `polls/${pollId}`,
+      data: {
+        title: 'Load test',
+        prompt: 'Burst of simulated voters',
+        options: { for: { label: 'In favor', order: 0 }, against: { label: 'Against', order: 1 } },
+        resultsVisibility: 'always',
+        // After the real polls, if the app is open against the same emulator.
+        order: 100,
+      },
+    },
+  ])
+}
+
+// Each voter is its own app instance so it gets its own auth session.
+async function runVoter(i) {
+  const { app, auth, db } = connect(`voter-${i}`)
+  try {
+    const { user } = await signInAnonymously(auth)
+    let choice = i % 2 === 0 ? 'for' : 'against'
+    await castBallot(db, pollId, user.uid, choice)
+    if (Math.random() < switchShare) {
+      // A little over the interval, so the emulator's clock agrees it has passed.
+      await sleep(MIN_VOTE_INTERVAL_MS + 500)
+      choice = choice === 'for' ? 'against' : 'for'
+      await castBallot(db, pollId, user.uid, choice)
+    }
+    return { ok: true, choice }
+  } catch (e) {
+    return { ok: false, error: e instanceof Error ? e.message : String(e) }
+  } finally {
+    await deleteApp(app)
+  }
+}
+
+async function main() {
+  console.log(`Poll ${pollId}: ${voterCount} voters, ${Math.round(switchShare * 100)}% switch sides`)
+  await createPoll()
+  const started = Date.now()
+  const results = await Promise.all(Array.from({ length: voterCount }, (_, i) => runVoter(i)))
+  const seconds = ((Date.now() - started) / 1000).toFixed(1)
+
+  const expected = { forCount: 0, againstCount: 0 }
+  const failures = []
+  for (const r of results) {
+    if (r.ok) expected[r.choice === 'for' ? 'forCount' : 'againstCount'] += 1
+    else failures.push(r.error)
+  }
+
+  const reader = connect('reader')
+  const shards = await getDocs(collection(reader.db, 'polls', pollId, 'shards'))
+  const tally = { forCount: 0, againstCount: 0 }
+  shards.forEach((shard) => {
+    tally.forCount += shard.data().counts?.for ?? 0
+    tally.againstCount += shard.data().counts?.against ?? 0
+  })
+  await deleteApp(reader.app)
+
+  console.log(`Finished in ${seconds}s across ${shards.size} shards`)
+  console.log(`Expected  for ${expected.forCount}, against ${expected.againstCount}`)
+  console.log(`Tallied   for ${tally.forCount}, against ${tally.againstCount}`)
+
+  let ok = true
+  if (failures.length > 0) {
+    ok = false
+    console.error(`${failures.length} votes failed, e.g.: ${failures[0]}`)
+  }
+  if (tally.forCount !== expected.forCount || tally.againstCount !== expected.againstCount) {
+    ok = false
+    console.error('Tally does not match the ballots cast.')
+  }
+  console.log(ok ? 'OK: no lost or double-counted votes.' : 'FAILED')
+  process.exitCode = ok ? 0 : 1
+}
+
+main().catch((e) => {
+  console.error(e)
+  process.exitCode = 1
+})
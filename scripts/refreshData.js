@@ -0,0 +1,144 @@
+// Download the latest provisional overdose dataset, check it has the columns the app needs,
+// and save it as a dated snapshot (see src/data/snapshots.js for the layout).
+//
+//   npm run refresh:data
+//   npm run refresh:data -- --source scripts/fixtures/overdoseRates.sample.csv --out /tmp/data
+//
+// `--source` takes a URL or a local file, so the whole run can be tried against the saved
+// fixture without touching the network (scripts/refreshData.test.js does, via refreshData()). `--date` overrides the snapshot date (default: today,
+// UTC) and `--keep` is how many snapshots to keep. A download identical to the newest
+// snapshot is left alone, so this is safe to run on a schedule. The file is parsed with the
+// same code the app uses, so a dataset this accepts is one the app can load.
+//
+// releases.json isn't touched: it marks when the CDC published its updates, and the day this
+// script fetched one is not that date.
+
+import { createHash } from 'node:crypto'
+import { copyFile, mkdir, readFile, rm, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { createCsvParser } from '../src/data/csv.js'
+import { createOverdoseAggregator } from '../src/data/overdoseData.js'
+import { SNAPSHOT_DIR, snapshotPath } from '../src/data/snapshots.js'
+
+// "Provisional drug overdose death counts for specific drugs" on data.cdc.gov, the dataset
+// behind the Data.gov listing cited in src/citation.js.
+const DEFAULT_SOURCE = 'https://data.cdc.gov/api/views/8hzs-zshh/rows.csv?accessType=DOWNLOAD'
+
+const DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/
+
+async function download(source) {
+  if (!/^https?:\/\//.test(source)) return readFile(source)
+  const res = await fetch(source)
+  if (!res.ok) throw new Error(`Download failed: ${res.status} ${res.statusText} (${source})`)
+  return Buffer.from(await res.arrayBuffer())
+}
+
+// Parse the CSV the way the app does. Missing required columns throw MissingColumnsError;
+// a file with no usable rows is refused too, since the app would show an empty chart.
+function validate(bytes) {
+  const aggregator = createOverdoseAggregator({ format: 'CSV' })
+  const parser = createCsvParser(aggregator.addRow)
+  parser.write(new TextDecoder().decode(bytes))
+  parser.end()
+  const dataset = aggregator.finish()
+
+  const { rowCount, skippedCount } = dataset.diagnostics
+  if (rowCount - skippedCount === 0) throw new Error(`No usable rows (${rowCount} read, all skipped).`)
+
+  let latestMonth = null
+  for (const byIndicator of Object.values(dataset.months)) {
+    for (const byMonth of Object.values(byIndicator)) {
+      for (const monthKey of Object.keys(byMonth)) {
+        if (!latestMonth || monthKey > latestMonth) latestMonth = monthKey
+      }
+    }
+  }
+  return { rows: rowCount, skipped: skippedCount, latestMonth }
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'))
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback
+    throw e
+  }
+}
+
+/**
+ * Fetch `source`, check it, and save it under `out` as the snapshot for `date`, keeping the
+ * newest `keep` snapshots.
+ *
+ * @param {{ source?: string, out?: string, date?: string, keep?: number | string }} [options]
+ * @returns {Promise<{ written: boolean, snapshots: import('../src/data/snapshots.js').Snapshot[] }>}
+ *   whether a snapshot was written, and the manifest's snapshots afterwards
+ */
+export async function refreshData({
+  source = DEFAULT_SOURCE,
+  out = 'public/data',
+  date = new Date().toISOString().slice(0, 10),
+  keep: keepOption = 6,
+} = {}) {
+  if (!DATE.test(date)) throw new Error(`--date must be YYYY-MM-DD, got "${date}".`)
+  const keep = Math.max(1, Number(keepOption) || 1)
+  // A snapshot's public path (`/data/snapshots/…`) as a file under `out`.
+  const outPath = (publicPath) => path.join(out, path.relative('/data', publicPath))
+
+  console.log(`Fetching ${source}…`)
+  const bytes = await download(source)
+  const stats = validate(bytes)
+  const sha256 = createHash('sha256').update(bytes).digest('hex')
+  console.log(`${stats.rows} rows (${stats.skipped} skipped), latest month ${stats.latestMonth}.`)
+
+  const manifestFile = path.join(out, 'manifest.json')
+  const manifest = await readJson(manifestFile, { snapshots: [] })
+  const snapshots = (manifest.snapshots ?? []).filter((s) => s.date !== date)
+  const newest = snapshots.sort((a, b) => b.date.localeCompare(a.date))[0]
+  if (newest?.sha256 === sha256) {
+    console.log(`Unchanged since the ${newest.date} snapshot; nothing written.`)
+    return { written: false, snapshots: manifest.snapshots }
+  }
+
+  const snapshot = {
+    date,
+    file: snapshotPath(date),
+    source,
+    fetchedAt: new Date().toISOString(),
+    sha256,
+    bytes: bytes.length,
+    rows: stats.rows,
+    latestMonth: stats.latestMonth,
+  }
+
+  await mkdir(outPath(SNAPSHOT_DIR), { recursive: true })
+  await writeFile(outPath(snapshot.file), bytes)
+  await copyFile(outPath(snapshot.file), path.join(out, 'overdoseRates.csv'))
+
+  const kept = [snapshot, ...snapshots].slice(0, keep)
+  for (const old of snapshots.slice(keep - 1)) {
+    await rm(outPath(old.file), { force: true })
+    console.log(`Removed the ${old.date} snapshot.`)
+  }
+  await writeFile(manifestFile, `${JSON.stringify({ snapshots: kept }, null, 2)}\n`)
+
+  console.log(`Wrote the ${date} snapshot (${kept.length} kept).`)
+  return { written: true, snapshots: kept }
+}
+
+// Run from the command line (not when imported by the test).
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      source: { type: 'string' },
+      out: { type: 'string' },
+      date: { type: 'string' },
+      keep: { type: 'string' },
+    },
+  })
+  refreshData(values).catch((e) => {
+    console.error(e instanceof Error ? e.message : e)
+    process.exitCode = 1
+  })
+}
@@ -0,0 +1,99 @@
+import { existsSync } from 'node:fs'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { refreshData } from './refreshData.js'
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/overdoseRates.sample.csv', import.meta.url))
+
+let out
+let fixture
+
+// A copy of the fixture with one value changed, so it hashes differently.
+async function changedFixture(name, value) {
+  const file = path.join(out, name)
+  await writeFile(file, fixture.replace('"111,029"', `"${value}"`))
+  return file
+}
+
+async function manifestDates() {
+  const { snapshots } = JSON.parse(await readFile(path.join(out, 'manifest.json'), 'utf8'))
+  return snapshots.map((s) => s.date)
+}
+
+const snapshotFile = (date) => path.join(out, 'snapshots', `overdoseRates-${date}.csv`)
+
+beforeEach(async () => {
+  out = await mkdtemp(path.join(tmpdir(), 'refresh-data-'))
+  fixture = await readFile(FIXTURE, 'utf8')
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+afterEach(async () => {
+  vi.restoreAllMocks()
+  await rm(out, { recursive: true, force: true })
+})
+
+describe('refreshData', () => {
+  it('saves a checked download as a dated snapshot and the bundled file', async () => {
+    const { written, snapshots } = await refreshData({ source: FIXTURE, out, date: '2026-01-01' })
+
+    expect(written).toBe(true)
+    expect(snapshots).toEqual([
+      expect.objectContaining({
+        date: '2026-01-01',
+        file: '/data/snapshots/overdoseRates-2026-01-01.csv',
+        rows: 16,
+        latestMonth: '2024-04',
+      }),
+    ])
+    expect(await readFile(snapshotFile('2026-01-01'), 'utf8')).toBe(fixture)
+    expect(await readFile(path.join(out, 'overdoseRates.csv'), 'utf8')).toBe(fixture)
+    expect(await manifestDates()).toEqual(['2026-01-01'])
+  })
+
+  it('writes nothing when the download matches the newest snapshot', async () => {
+    await refreshData({ source: FIXTURE, out, date: '2026-01-01' })
+    const manifest = await readFile(path.join(out, 'manifest.json'), 'utf8')
+
+    const { written } = await refreshData({ source: FIXTURE, out, date: '2026-01-02' })
+
+    expect(written).toBe(false)
+    expect(existsSync(snapshotFile('2026-01-02'))).toBe(false)
+    expect(await readFile(path.join(out, 'manifest.json'), 'utf8')).toBe(manifest)
+  })
+
+  it('lists snapshots newest first and keeps only --keep of them', async () => {
+    await refreshData({ source: FIXTURE, out, date: '2026-01-01', keep: 2 })
+    await refreshData({ source: await changedFixture('b.csv', '111,030'), out, date: '2026-01-02', keep: 2 })
+    expect(await manifestDates()).toEqual(['2026-01-02', '2026-01-01'])
+
+    const latest = await changedFixture('c.csv', '111,031')
+    await refreshData({ source: latest, out, date: '2026-01-03', keep: 2 })
+
+    expect(await manifestDates()).toEqual(['2026-01-03', '2026-01-02'])
+    expect(existsSync(snapshotFile('2026-01-01'))).toBe(false)
+    expect(existsSync(snapshotFile('2026-01-02'))).toBe(true)
+    expect(await readFile(path.join(out, 'overdoseRates.csv'), 'utf8')).toBe(await readFile(latest, 'utf8'))
+  })
+
+  it('refuses a file missing a required column before overwriting anything', async () => {
+    await refreshData({ source: FIXTURE, out, date: '2026-01-01' })
+    const broken = path.join(out, 'broken.csv')
+    await writeFile(broken, fixture.replace('Indicator', 'Drug'))
+
+    await expect(refreshData({ source: broken, out, date: '2026-01-02' })).rejects.toThrow(
+      'CSV missing required columns: Indicator',
+    )
+    expect(await manifestDates()).toEqual(['2026-01-01'])
+    expect(await readFile(path.join(out, 'overdoseRates.csv'), 'utf8')).toBe(fixture)
+  })
+
+  it('refuses a malformed date', async () => {
+    await expect(refreshData({ source: FIXTURE, out, date: '2026-13-01' })).rejects.toThrow(
+      '--date must be YYYY-MM-DD',
+    )
+  })
+})
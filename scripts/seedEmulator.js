@@ -0,0 +1,213 @@
+// Fill the Firestore emulator with polls and a few weeks of plausible voting, so the vote
+// cards, tallies and history charts have something to show in local development.
+//
+//   npm run emulators
+//   npm run seed:emulator -- --voters 400 --days 30
+//
+// Existing emulator data is cleared first. The data is generated from a fixed seed, so every
+// run produces the same polls and votes.
+
+import { parseArgs } from 'node:util'
+import { SHARD_COUNT } from '../src/votes.js'
+import { clearFirestore, writeDocuments } from './emulator.js'
+
+const { values } = parseArgs({
+  options: {
+    voters: { type: 'string', default: '400' },
+    days: { type: 'string', default: '30' },
+    seed: { type: 'string', default: '1' },
+  },
+})
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Small deterministic PRNG (mulberry32).
+function createRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const random = createRandom(Number(values.seed))
+const now = new Date()
+
+function daysFromNow(days) {
+  return new Date(now.getTime() + days * DAY_MS)
+}
+
+function pick(weights) {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0)
+  let r = random() * total
+  for (const [id, w] of Object.entries(weights)) {
+    r -= w
+    if (r < 0) return id
+  }
+  return Object.keys(weights)[0]
+}
+
+const POLLS = [
+  {
+    id: 'position',
+    data: {
+      title: 'Statement of Intent',
+      prompt:
+        "This data shows overdose deaths. Drugs are bad — that’s why you should vote Mayer for Mayor. We're gonna get rid of all drugs. Do you agree with me?",
+      options: { for: { label: 'In favor', order: 0 }, against: { label: 'Against', order: 1 } },
+      opensAt: null,
+      closesAt: null,
+      resultsVisibility: 'always',
+      order: 0,
+      translations: {
+        es: {
+          title: 'Declaración de intenciones',
+          prompt:
+            'Estos datos muestran las muertes por sobredosis. Las drogas son malas; por eso debes votar por Mayer para alcalde. Vamos a acabar con todas las drogas. ¿Estás de acuerdo conmigo?',
+          options: { for: 'A favor', against: 'En contra' },
+        },
+      },
+    },
+    // Support starts even and drifts toward "for" over the period.
+    weightsAt: (t) => ({ for: 0.45 + 0.2 * t, against: 0.55 - 0.2 * t }),
+    turnout: 1,
+  },
+  {
+    id: 'priorities',
+    data: {
+      title: 'First priority',
+      prompt: 'If elected, which should the city fund first?',
+      options: {
+        treatment: { label: 'Treatment programs', order: 0 },
+        prevention: { label: 'Prevention in schools', order: 1 },
+        naloxone: { label: 'Naloxone access', order: 2 },
+        enforcement: { label: 'Enforcement', order: 3 },
+      },
+      opensAt: null,
+      closesAt: daysFromNow(14),
+      resultsVisibility: 'after-vote',
+      order: 1,
+      translations: {
+        es: {
+          title: 'Primera prioridad',
+          prompt: 'Si gano, ¿qué debería financiar primero la ciudad?',
+          options: {
+            treatment: 'Programas de tratamiento',
+            prevention: 'Prevención en las escuelas',
+            naloxone: 'Acceso a naloxona',
+            enforcement: 'Aplicación de la ley',
+          },
+        },
+      },
+    },
+    weightsAt: (t) => ({
+      treatment: 0.35,
+      prevention: 0.25,
+      naloxone: 0.15 + 0.1 * t,
+      enforcement: 0.25 - 0.1 * t,
+    }),
+    turnout: 0.6,
+  },
+  {
+    id: 'town-hall',
+    data: {
+      title: 'Town hall',
+      prompt: 'Would you attend an evening town hall on the overdose crisis?',
+      options: { yes: { label: 'Yes', order: 0 }, maybe: { label: 'Maybe', order: 1 }, no: { label: 'No', order: 2 } },
+      opensAt: daysFromNow(3),
+      closesAt: daysFromNow(10),
+      resultsVisibility: 'after-close',
+      order: 2,
+      translations: {
+        es: {
+          title: 'Reunión comunitaria',
+          prompt: '¿Asistirías a una reunión comunitaria nocturna sobre la crisis de sobredosis?',
+          options: { yes: 'Sí', maybe: 'Tal vez', no: 'No' },
+        },
+      },
+    },
+    // Not open yet, so no votes.
+    weightsAt: () => ({}),
+    turnout: 0,
+  },
+]
+
+/**
+ * Simulate voters arriving over `days` days for one poll, some of whom later switch. Returns
+ * ballots, events and shards that agree with each other the way castBallot() leaves them.
+ */
+function simulate(poll, voterCount, days) {
+  const docs = []
+  const shards = Array.from({ length: SHARD_COUNT }, () => ({}))
+  const start = daysFromNow(-days).getTime()
+  let eventCount = 0
+
+  const addEvent = (ballot, choice, at) => {
+    const shard = Math.floor(random() * SHARD_COUNT)
+    const counts = shards[shard]
+    counts[choice] = (counts[choice] ?? 0) + 1
+    // As in castBallot(), the switch is recorded on one shard, so a shard can go negative.
+    if (ballot.choice) counts[ballot.choice] = (counts[ballot.choice] ?? 0) - 1
+
+    eventCount += 1
+    const eventId = `seed-event-${String(eventCount).padStart(5, '0')}`
+    docs.push({ path: `polls/${poll.id}/events/${eventId}`, data: { choice, previous: ballot.choice ?? null, at } })
+    Object.assign(ballot, {
+      choice,
+      shard: String(shard),
+      lastEvent: eventId,
+      createdAt: ballot.createdAt ?? at,
+      updatedAt: at,
+    })
+  }
+
+  for (let i = 0; i < voterCount; i += 1) {
+    if (random() >= poll.turnout) continue
+    // Arrivals bunch up towards the end, as a campaign picks up.
+    const t = Math.sqrt(random())
+    const at = new Date(start + t * (now.getTime() - start))
+    const ballot = {}
+    addEvent(ballot, pick(poll.weightsAt(t)), at)
+
+    if (random() < 0.08) {
+      const laterT = t + random() * (1 - t)
+      const later = new Date(start + laterT * (now.getTime() - start))
+      const others = Object.fromEntries(
+        Object.entries(poll.weightsAt(laterT)).filter(([id]) => id !== ballot.choice),
+      )
+      addEvent(ballot, pick(others), later)
+    }
+
+    const uid = `seed-voter-${String(i + 1).padStart(4, '0')}`
+    docs.push({ path: `polls/${poll.id}/ballots/${uid}`, data: ballot })
+  }
+
+  shards.forEach((counts, shard) => {
+    if (Object.keys(counts).length > 0) {
+      docs.push({ path: `polls/${poll.id}/shards/${shard}`, data: { counts, updatedAt: now } })
+    }
+  })
+  return docs
+}
+
+async function main() {
+  const voterCount = Number(values.voters)
+  const days = Number(values.days)
+
+  await clearFirestore()
+  for (const poll of POLLS) {
+    const docs = [{ path: `polls/${poll.id}`, data: poll.data }, ...simulate(poll, voterCount, days)]
+    await writeDocuments(docs)
+    const ballots = docs.filter((d) => d.path.includes('/ballots/')).length
+    console.log(`${poll.id}: ${ballots} ballots`)
+  }
+  console.log('Seeded the Firestore emulator.')
+}
+
+main().catch((e) => {
+  console.error(e)
+  process.exitCode = 1
+})
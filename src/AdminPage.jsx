@@ -0,0 +1,216 @@
+import { useEffect, useState } from 'react'
+import { onAuthStateChanged, signOut } from 'firebase/auth'
+import './App.css'
+import AdminPoll from './AdminPoll.jsx'
+import { isAdmin, subscribeAuditLog } from './admin.js'
+import { completeEmailSignIn, sendEmailSignInLink } from './auth.js'
+import { auth, db } from './firebase.js'
+import { subscribePolls } from './votes.js'
+
+const dateFormatter = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'medium' })
+
+function errorMessage(e) {
+  return e instanceof Error ? e.message : String(e)
+}
+
+function formatDetails(details) {
+  return Object.entries(details)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join(', ')
+}
+
+function AdminSignIn() {
+  const [email, setEmail] = useState('')
+  const [status, setStatus] = useState('idle') // idle | sending | sent
+  const [error, setError] = useState('')
+
+  const send = async (e) => {
+    e.preventDefault()
+    setStatus('sending')
+    setError('')
+    try {
+      await sendEmailSignInLink(email.trim())
+      setStatus('sent')
+    } catch (err) {
+      setStatus('idle')
+      setError(errorMessage(err))
+    }
+  }
+
+  if (status === 'sent') return <p className="muted">Check {email.trim()} for a sign-in link.</p>
+
+  return (
+    <form className="voteEmailForm" onSubmit={send}>
+      <label className="label">
+        Staff email
+        <input
+          className="input"
+          type="email"
+          required
+          autoComplete="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+        />
+      </label>
+      <button type="submit" className="button" disabled={status === 'sending'}>
+        {status === 'sending' ? 'Sending…' : 'Email me a sign-in link'}
+      </button>
+      {error ? <p className="errorText">{error}</p> : null}
+    </form>
+  )
+}
+
+// The /admin route: campaign staff (see src/admin.js) sign in with an email link and get the
+// raw tally, burst warnings and moderation tools for every poll, plus the audit log. The
+// rules enforce the same access, so this page only decides what to show.
+function AdminPage() {
+  const [user, setUser] = useState(null)
+  const [authReady, setAuthReady] = useState(false)
+  const [access, setAccess] = useState({ uid: null, allowed: false }) // last staff-list check
+  const [polls, setPolls] = useState([])
+  const [auditLog, setAuditLog] = useState([])
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!auth) return undefined
+    completeEmailSignIn().catch((e) => setError(errorMessage(e)))
+    return onAuthStateChanged(auth, (next) => {
+      setUser(next)
+      setAuthReady(true)
+    })
+  }, [])
+
+  const signedInWithEmail = Boolean(user && !user.isAnonymous)
+
+  useEffect(() => {
+    if (!db || !signedInWithEmail) return undefined
+    let cancelled = false
+    isAdmin(db, user.uid)
+      .then((allowed) => {
+        if (!cancelled) setAccess({ uid: user.uid, allowed })
+      })
+      .catch((e) => {
+        if (!cancelled) setError(errorMessage(e))
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [user, signedInWithEmail])
+
+  const granted = signedInWithEmail && access.uid === user.uid && access.allowed
+
+  useEffect(() => {
+    if (!db || !granted) return undefined
+    const onError = (e) => setError(errorMessage(e))
+    const unsubscribes = [subscribePolls(db, setPolls, onError), subscribeAuditLog(db, setAuditLog, onError)]
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe())
+  }, [granted])
+
+  let body
+  if (!auth || !db) {
+    body = (
+      <div className="card">
+        <p className="muted">Firebase isn’t configured, so there is nothing to administer.</p>
+      </div>
+    )
+  } else if (!authReady || (signedInWithEmail && access.uid !== user.uid && !error)) {
+    body = (
+      <div className="card">
+        <p className="muted">Checking access…</p>
+      </div>
+    )
+  } else if (!signedInWithEmail) {
+    body = (
+      <div className="card">
+        <p className="muted">Sign in with your staff email to continue.</p>
+        <AdminSignIn />
+      </div>
+    )
+  } else if (!granted) {
+    body = (
+      <div className="card">
+        <p className="muted">
+          {user.email} isn’t on the staff list. An existing admin can add you by creating the document{' '}
+          <code>admins/{user.uid}</code> in the Firebase console.
+        </p>
+      </div>
+    )
+  } else {
+    body = (
+      <>
+        {polls.length === 0 ? (
+          <div className="card">
+            <p className="muted">There are no polls.</p>
+          </div>
+        ) : (
+          polls.map((poll) => <AdminPoll key={poll.id} poll={poll} user={user} />)
+        )}
+
+        <section className="card" aria-labelledby="audit-log-title">
+          <h2 className="voteTitle" id="audit-log-title">
+            Audit log
+          </h2>
+          {auditLog.length === 0 ? (
+            <p className="muted">No admin actions yet.</p>
+          ) : (
+            <div className="tableWrap">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">When</th>
+                    <th scope="col">Who</th>
+                    <th scope="col">Action</th>
+                    <th scope="col">Poll</th>
+                    <th scope="col">Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {auditLog.map((entry) => (
+                    <tr key={entry.id}>
+                      <td>{entry.at ? dateFormatter.format(entry.at) : '—'}</td>
+                      <td>{entry.email ?? entry.uid}</td>
+                      <td>{entry.action}</td>
+                      <td>{entry.pollId}</td>
+                      <td>{formatDetails(entry.details)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </>
+    )
+  }
+
+  return (
+    <div className="page">
+      <header className="header">
+        <h1 className="title">Poll admin</h1>
+        <p className="subtitle">
+          {signedInWithEmail ? (
+            <>
+              Signed in as {user.email}.{' '}
+              <button type="button" className="linkButton" onClick={() => signOut(auth)}>
+                Sign out
+              </button>{' '}
+              ·{' '}
+            </>
+          ) : null}
+          <a href="/">Back to the site</a>
+        </p>
+      </header>
+
+      {error ? (
+        <div className="card error">
+          <p className="errorTitle">Something went wrong</p>
+          <pre className="errorText">{error}</pre>
+        </div>
+      ) : null}
+
+      {body}
+    </div>
+  )
+}
+
+export default AdminPage
@@ -0,0 +1,229 @@
+import { useEffect, useMemo, useState } from 'react'
+import { exportVoteRecords, resetPoll, setPollFrozen, subscribeBallots, subscribeShards } from './admin.js'
+import { db } from './firebase.js'
+import { pollStatus } from './polls.js'
+import { BURST_WINDOW_MS, findVoteBursts } from './voteBursts.js'
+import { subscribeVoteEvents } from './votes.js'
+
+const dateFormatter = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+const STATUS_LABELS = {
+  upcoming: 'Not open yet',
+  open: 'Open',
+  frozen: 'Frozen',
+  closed: 'Closed',
+}
+
+function errorMessage(e) {
+  return e instanceof Error ? e.message : String(e)
+}
+
+function sumShards(shards) {
+  const totals = {}
+  for (const shard of shards) {
+    for (const [optionId, n] of Object.entries(shard.counts)) totals[optionId] = (totals[optionId] ?? 0) + n
+  }
+  return totals
+}
+
+function countBallots(ballots) {
+  const totals = {}
+  for (const ballot of ballots) totals[ballot.choice] = (totals[ballot.choice] ?? 0) + 1
+  return totals
+}
+
+// One poll on the staff dashboard: the tally as stored (shard by shard, and checked against
+// the ballots), bursts of votes worth a look, and the freeze / reset / export actions.
+function AdminPoll({ poll, user }) {
+  const [shards, setShards] = useState([])
+  const [ballots, setBallots] = useState([])
+  const [events, setEvents] = useState([])
+  const [busy, setBusy] = useState('') // the action in progress
+  const [notice, setNotice] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const onError = (e) => setError(errorMessage(e))
+    const unsubscribes = [
+      subscribeShards(db, poll.id, setShards, onError),
+      subscribeBallots(db, poll.id, setBallots, onError),
+      subscribeVoteEvents(db, poll.id, setEvents, onError),
+    ]
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe())
+  }, [poll.id])
+
+  const bursts = useMemo(() => findVoteBursts(events), [events])
+  const shardTotals = sumShards(shards)
+  const ballotTotals = countBallots(ballots)
+  // Options that only turn up in the data (e.g. removed from the poll since) are listed too.
+  const labels = new Map(poll.options.map((o) => [o.id, o.label]))
+  for (const id of [...Object.keys(shardTotals), ...Object.keys(ballotTotals)]) {
+    if (!labels.has(id)) labels.set(id, `${id} (not an option)`)
+  }
+  const rows = [...labels].map(([id, label]) => ({
+    id,
+    label,
+    shards: shardTotals[id] ?? 0,
+    ballots: ballotTotals[id] ?? 0,
+  }))
+  const mismatched = rows.some((r) => r.shards !== r.ballots)
+  const status = pollStatus(poll)
+  const titleId = `admin-poll-${poll.id}`
+
+  const run = async (action, fn) => {
+    setBusy(action)
+    setError('')
+    setNotice('')
+    try {
+      const message = await fn()
+      if (message) setNotice(message)
+    } catch (e) {
+      setError(errorMessage(e))
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const toggleFrozen = () =>
+    run('freeze', async () => {
+      await setPollFrozen(db, user, poll.id, !poll.frozen)
+      return poll.frozen ? 'Voting is open again.' : 'Voting is paused.'
+    })
+
+  const reset = () => {
+    const question = `Delete all ${ballots.length} ballots and ${events.length} vote events of “${poll.title}”? This can’t be undone.`
+    if (!window.confirm(question)) return
+    run('reset', async () => {
+      const deleted = await resetPoll(db, user, poll.id)
+      return `Reset: deleted ${deleted.ballots} ballots, ${deleted.events} events and ${deleted.shards} shards.`
+    })
+  }
+
+  const exportRecords = (kind) =>
+    run(`export-${kind}`, () => exportVoteRecords(db, user, poll.id, kind, kind === 'ballots' ? ballots : events))
+
+  return (
+    <section className="card adminPoll" aria-labelledby={titleId}>
+      <div className="voteHeader">
+        <h2 className="voteTitle" id={titleId}>
+          {poll.title || poll.id}
+        </h2>
+        <span className="adminStatus" data-state={status}>
+          {STATUS_LABELS[status]}
+        </span>
+      </div>
+      <p className="muted">
+        <code>polls/{poll.id}</code> · {ballots.length} ballots · {events.length} vote events
+      </p>
+
+      {error ? (
+        <div className="errorNote">
+          <p className="errorTitle">Admin error</p>
+          <pre className="errorText">{error}</pre>
+        </div>
+      ) : null}
+      {notice ? (
+        <p className="adminNotice" role="status">
+          {notice}
+        </p>
+      ) : null}
+
+      <div className="tableWrap">
+        <table className="table">
+          <caption className="visuallyHidden">Raw counts for {poll.title || poll.id}</caption>
+          <thead>
+            <tr>
+              <th scope="col">Option</th>
+              <th scope="col" className="numeric">
+                Tally (shards)
+              </th>
+              <th scope="col" className="numeric">
+                Ballots
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.id} className={r.shards !== r.ballots ? 'isMismatch' : undefined}>
+                <th scope="row">{r.label}</th>
+                <td className="numeric">{r.shards}</td>
+                <td className="numeric">{r.ballots}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {mismatched ? (
+        <p className="errorText">
+          The tally doesn’t match the ballots. A brief difference while votes are coming in is normal; one that
+          stays means a shard was written without its ballot.
+        </p>
+      ) : null}
+
+      <details className="adminShards">
+        <summary className="muted">Counts per shard</summary>
+        <div className="tableWrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th scope="col">Shard</th>
+                {[...labels].map(([id, label]) => (
+                  <th key={id} scope="col" className="numeric">
+                    {label}
+                  </th>
+                ))}
+                <th scope="col">Last write</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shards.map((shard) => (
+                <tr key={shard.id}>
+                  <th scope="row">{shard.id}</th>
+                  {[...labels.keys()].map((id) => (
+                    <td key={id} className="numeric">
+                      {shard.counts[id] ?? 0}
+                    </td>
+                  ))}
+                  <td>{shard.updatedAt ? dateFormatter.format(shard.updatedAt) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </details>
+
+      <h3 className="adminHeading">Bursts</h3>
+      {bursts.length === 0 ? (
+        <p className="muted">No unusual bursts of votes.</p>
+      ) : (
+        <ul className="adminBursts">
+          {bursts.map((b) => (
+            <li key={b.start.getTime()}>
+              {dateFormatter.format(b.start)}: <strong>{b.count}</strong> votes in {BURST_WINDOW_MS / 60000} minutes
+              (usually {b.expected.toFixed(1)}), {Math.round(b.topShare * 100)}% for{' '}
+              {labels.get(b.topChoice) ?? b.topChoice}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="adminActions">
+        <button type="button" className="button" onClick={toggleFrozen} disabled={Boolean(busy)}>
+          {busy === 'freeze' ? 'Saving…' : poll.frozen ? 'Unfreeze voting' : 'Freeze voting'}
+        </button>
+        <button type="button" className="button" onClick={reset} disabled={Boolean(busy) || !poll.frozen}>
+          {busy === 'reset' ? 'Resetting…' : 'Reset votes'}
+        </button>
+        <button type="button" className="button" onClick={() => exportRecords('ballots')} disabled={Boolean(busy)}>
+          Ballots (CSV)
+        </button>
+        <button type="button" className="button" onClick={() => exportRecords('events')} disabled={Boolean(busy)}>
+          Vote events (CSV)
+        </button>
+      </div>
+      {!poll.frozen ? <p className="muted">Freeze the poll before resetting it, so no vote lands mid-reset.</p> : null}
+    </section>
+  )
+}
+
+export default AdminPoll
@@ -0,0 +1,79 @@
+// @vitest-environment jsdom
+import { cleanup, render, screen, within } from '@testing-library/react'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { axe } from 'vitest-axe'
+import * as matchers from 'vitest-axe/matchers'
+import App from './App.jsx'
+import { POLL, fakeVoteService, serveDataset } from './test/fixtures.js'
+import { setVoteService } from './voteService.js'
+
+expect.extend(matchers)
+
+// The sign-in form loads Firebase Auth; it has no part in these checks.
+vi.mock('./VoterAccount.jsx', () => ({ default: () => null }))
+
+let fake
+let restoreVoteService
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/')
+  serveDataset()
+  fake = fakeVoteService()
+  restoreVoteService = setVoteService(fake.service)
+})
+
+afterEach(() => {
+  cleanup()
+  restoreVoteService()
+  vi.unstubAllGlobals()
+})
+
+async function renderLoadedApp() {
+  const view = render(<App />)
+  await screen.findByRole('table', { name: /monthly values/ })
+  fake.push('polls', [POLL])
+  fake.push('tally', { alice: 3, bob: 1 })
+  return view
+}
+
+describe('App accessibility', () => {
+  it('has no axe violations with the chart and a poll on the page', async () => {
+    const { container } = await renderLoadedApp()
+
+    // jsdom doesn't lay out or paint, so contrast can't be measured here.
+    expect(await axe(container, { rules: { 'color-contrast': { enabled: false } } })).toHaveNoViolations()
+  })
+
+  it('describes the chart as an image with a summary', async () => {
+    await renderLoadedApp()
+
+    const chart = screen.getByRole('img', { name: /line chart$/ })
+    const description = document.getElementById(chart.getAttribute('aria-describedby'))
+    expect(description.tagName).toBe('desc')
+    expect(description.parentElement).toBe(chart)
+    expect(description.textContent).toMatch(
+      /^United States: up 10%, from 2,000 in January 2024 to 2,200 in March 2024\. Highest: 2,200 in March 2024\./,
+    )
+  })
+
+  it('offers the charted points as a table', async () => {
+    await renderLoadedApp()
+
+    const table = screen.getByRole('table', { name: /as a table$/ })
+    expect(table.classList.contains('visuallyHidden')).toBe(true)
+    expect(within(table).getAllByRole('row').length).toBeGreaterThan(3)
+    expect(within(table).getByText('2,100')).toBeTruthy()
+  })
+
+  it('announces tally changes in a polite live region, not the first read', async () => {
+    await renderLoadedApp()
+
+    const card = screen.getByRole('region', { name: 'Who should be mayor?' })
+    const liveRegion = card.querySelector('[aria-live="polite"]')
+    expect(liveRegion.textContent).toBe('')
+
+    fake.push('tally', { alice: 3, bob: 4 })
+
+    expect(liveRegion.textContent).toMatch(/^Votes updated\. Bob leads/)
+  })
+})
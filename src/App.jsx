@@ -1,471 +1,564 @@
-import { useCallback, useEffect, useMemo, useState } from 'react'
-import { doc, onSnapshot, runTransaction, serverTimestamp } from 'firebase/firestore'
+import { Suspense, lazy, useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import './App.css'
-import { db, firebaseConfigMissing } from './firebase.js'
-
-const MONTHS = [
-  'January',
-  'February',
-  'March',
-  'April',
-  'May',
-  'June',
-  'July',
-  'August',
-  'September',
-  'October',
-  'November',
-  'December',
-]
-
-const MONTH_TO_NUM = new Map(MONTHS.map((m, i) => [m, i + 1]))
-
-function monthKeyToLabel(monthKey) {
-  const [y, mm] = String(monthKey).split('-')
-  const monthNum = Number(mm)
-  const monthName = MONTHS[monthNum - 1] ?? mm
-  return `${monthName} ${y}`
+import { firebaseConfigMissing } from './firebaseConfig.js'
+import LineChart from './LineChart.jsx'
+import { SOURCE_CITATION } from './citation.js'
+import ColumnMapper from './ColumnMapper.jsx'
+import DataSourcePicker from './DataSourcePicker.jsx'
+import DataTable from './DataTable.jsx'
+import ExportMenu from './ExportMenu.jsx'
+import LanguageSwitcher from './LanguageSwitcher.jsx'
+import Poll from './Poll.jsx'
+import ThemeSwitcher from './ThemeSwitcher.jsx'
+import { loadOverdoseDataset } from './data/loadOverdoseDataset.js'
+import { DEFAULT_METRIC, METRICS, applyMetric, getMetric, metricFormatter } from './data/metrics.js'
+import { ALL_STATES, MissingColumnsError, buildMonthlyRows } from './data/overdoseData.js'
+import { POPULATION_SOURCE } from './data/population.js'
+import { compareSnapshotMonths, loadSnapshots } from './data/snapshots.js'
+import { BUNDLED_SOURCE } from './data/sources.js'
+import { useI18n } from './i18n.js'
+import { monthKeyToLabel } from './months.js'
+import { localizePoll } from './polls.js'
+import { dayKeyToLabel } from './voteHistory.js'
+import { isEmbedded, readViewParams, withoutEmbed, writeViewParams } from './urlState.js'
+import { voteService } from './voteService.js'
+
+// The email sign-in form uses Firebase Auth directly, so it is its own bundle, loaded with the
+// polls (see src/voteService.js).
+const VoterAccount = lazy(() => import('./VoterAccount.jsx'))
+
+const NATIONAL_STATE = 'US'
+// Upper bounds on what can be drawn at once, counting the selected state / drug.
+const MAX_COMPARED_STATES = 5
+const MAX_OVERLAID_INDICATORS = 5
+
+// Turn URL parameters into a view the dataset can show, falling back to defaults for
+// anything missing or unknown (a renamed indicator, a state the file doesn't have…).
+function resolveView(params, indicatorList, stateList) {
+  const stateCodes = new Set(stateList.map((st) => st.code))
+  const indicator = indicatorList.includes(params.indicator)
+    ? params.indicator
+    : indicatorList.find((v) => v.toLowerCase().includes('all')) ?? indicatorList[0] ?? ''
+  const state = stateCodes.has(params.state)
+    ? params.state
+    : stateCodes.has(NATIONAL_STATE)
+      ? NATIONAL_STATE
+      : stateList[0]?.code ?? ALL_STATES
+
+  return {
+    indicator,
+    state,
+    compare: [...new Set(params.compare)]
+      .filter((code) => code !== state && stateCodes.has(code))
+      .slice(0, MAX_COMPARED_STATES - 1),
+    overlay: [...new Set(params.overlay)]
+      .filter((v) => v !== indicator && indicatorList.includes(v))
+      .slice(0, MAX_OVERLAID_INDICATORS - 1),
+    range: params.range,
+    metric: getMetric(params.metric).id,
+  }
 }
 
-function LineChart({ rows, valueFormatter, ariaLabel }) {
-  // rows: [{ monthKey, total }]
-  const w = 1000
-  const h = 360
-  const margin = { top: 20, right: 20, bottom: 88, left: 84 }
-  const iw = w - margin.left - margin.right
-  const ih = h - margin.top - margin.bottom
-
-  const points = rows
-    .filter((r) => Number.isFinite(r.total))
-    .map((r) => ({
-      key: r.monthKey,
-      label: monthKeyToLabel(r.monthKey),
-      value: r.total,
-    }))
-
-  const max = points.reduce((m, p) => Math.max(m, p.value), 0)
-  const yMax = max <= 0 ? 1 : max * 1.05
-  const yMin = 0
-
-  const xForIndex = (i) => (points.length <= 1 ? margin.left : margin.left + (i / (points.length - 1)) * iw)
-  const yForValue = (v) => {
-    const t = (v - yMin) / (yMax - yMin)
-    return margin.top + (1 - t) * ih
-  }
+function filterMonthRange(rows, range) {
+  if (!range) return rows
+  return rows.filter((r) => r.monthKey >= range.start && r.monthKey <= range.end)
+}
 
-  const d =
-    points.length === 0
-      ? ''
-      : points
-          .map((p, i) => {
-            const x = xForIndex(i)
-            const y = yForValue(p.value)
-            return `${i === 0 ? 'M' : 'L'} ${x.toFixed(2)} ${y.toFixed(2)}`
-          })
-          .join(' ')
-
-  const ticks = 5
-  // Avoid overlapping x labels: estimate how many can fit, then label every N points.
-  // Labels are like "YYYY-MM" (~7 chars). With rotation, we can fit a bit more.
-  const approxLabelPx = 44
-  const maxLabels = Math.max(2, Math.floor(iw / approxLabelPx))
-  const xLabelEvery = Math.max(1, Math.ceil(points.length / maxLabels))
+// A "pick several" control: a select that adds to `selected`, plus a removable chip per pick.
+// `addText` and `fullText` are the select's placeholder while more can be added and once the
+// limit is reached.
+function MultiPicker({ label, addText, fullText, options, exclude, selected, max, onChange }) {
+  const { t } = useI18n()
+  const labelFor = new Map(options.map((o) => [o.value, o.label]))
+  const canAdd = selected.length < max
+  const available = options.filter((o) => o.value !== exclude && !selected.includes(o.value))
 
   return (
-    <div className="chartWrap" role="region" aria-label={ariaLabel}>
-      {points.length === 0 ? (
-        <p className="muted">No chart data available for this selection.</p>
-      ) : (
-        <svg className="chart" viewBox={`0 0 ${w} ${h}`} preserveAspectRatio="none">
-          {/* grid + y labels */}
-          {Array.from({ length: ticks + 1 }).map((_, i) => {
-            const v = yMin + ((ticks - i) / ticks) * (yMax - yMin)
-            const y = yForValue(v)
-            return (
-              <g key={i}>
-                <line className="chartGrid" x1={margin.left} y1={y} x2={w - margin.right} y2={y} />
-                <text className="chartAxisLabel" x={margin.left - 10} y={y + 4} textAnchor="end">
-                  {valueFormatter.format(v)}
-                </text>
-              </g>
-            )
-          })}
-
-          {/* axis titles */}
-          <text
-            className="chartAxisTitle"
-            x={margin.left + iw / 2}
-            y={h - 10}
-            textAnchor="middle"
-          >
-            Month (YYYY-MM)
-          </text>
-          <text
-            className="chartAxisTitle"
-            x={18}
-            y={margin.top + ih / 2}
-            textAnchor="middle"
-            transform={`rotate(-90 18 ${margin.top + ih / 2})`}
-          >
-            Total overdose deaths
-          </text>
-
-          {/* axes */}
-          <line
-            className="chartAxis"
-            x1={margin.left}
-            y1={margin.top}
-            x2={margin.left}
-            y2={h - margin.bottom}
-          />
-          <line
-            className="chartAxis"
-            x1={margin.left}
-            y1={h - margin.bottom}
-            x2={w - margin.right}
-            y2={h - margin.bottom}
-          />
-
-          {/* line */}
-          <path className="chartLine" d={d} fill="none" />
-
-          {/* points + tooltips */}
-          {points.map((p, i) => {
-            const x = xForIndex(i)
-            const y = yForValue(p.value)
-            return (
-              <circle key={p.key} className="chartPoint" cx={x} cy={y} r={3.5}>
-                <title>
-                  {p.label}: {valueFormatter.format(p.value)}
-                </title>
-              </circle>
-            )
-          })}
-
-          {/* x labels */}
-          {points.map((p, i) => {
-            if (i % xLabelEvery !== 0 && i !== points.length - 1) return null
-            const x = xForIndex(i)
-            const short = p.key // YYYY-MM
-            const y = h - margin.bottom + 30
-            return (
-              <text
-                key={`x-${p.key}`}
-                className="chartAxisLabel chartXLabel"
-                transform={`translate(${x} ${y}) rotate(-45)`}
-                textAnchor="end"
-              >
-                {short}
-              </text>
-            )
-          })}
-        </svg>
-      )}
-    </div>
+    <>
+      <label className="label">
+        {label}
+        <select
+          className="select"
+          value=""
+          disabled={!canAdd || available.length === 0}
+          onChange={(e) => {
+            const value = e.target.value
+            if (value && canAdd && !selected.includes(value)) onChange([...selected, value])
+          }}
+        >
+          <option value="">{canAdd ? addText : fullText}</option>
+          {available.map((o) => (
+            <option key={o.value} value={o.value}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {selected.map((value) => (
+        <button
+          key={value}
+          type="button"
+          className="chip"
+          onClick={() => onChange(selected.filter((v) => v !== value))}
+          aria-label={t('controls.remove', { label: labelFor.get(value) ?? value })}
+        >
+          {labelFor.get(value) ?? value} ×
+        </button>
+      ))}
+    </>
   )
 }
 
-function parseCsv(text) {
-  const rows = []
-  let row = []
-  let field = ''
-  let inQuotes = false
-
-  for (let i = 0; i < text.length; i += 1) {
-    const c = text[i]
-
-    if (c === '"') {
-      // Escaped quote inside quoted field: "" -> "
-      if (inQuotes && text[i + 1] === '"') {
-        field += '"'
-        i += 1
-        continue
-      }
-
-      inQuotes = !inQuotes
-      continue
-    }
-
-    if (c === ',' && !inQuotes) {
-      row.push(field)
-      field = ''
-      continue
-    }
-
-    if (c === '\n' && !inQuotes) {
-      row.push(field)
-      field = ''
-      rows.push(row)
-      row = []
-      continue
-    }
-
-    // Ignore CR (Windows line endings)
-    if (c === '\r') continue
-
-    field += c
-  }
+// Issue kinds from createOverdoseAggregator() in src/data/overdoseData.js; each has an
+// `issues.<kind>` name and an `issues.detail.<kind>` message filled in from its params.
+const ISSUE_KINDS = ['ragged-row', 'missing-indicator', 'bad-year', 'bad-month', 'bad-value', 'missing-value']
 
-  // Flush last field/row
-  if (field.length > 0 || row.length > 0) {
-    row.push(field)
-    rows.push(row)
-  }
+function DataDiagnostics({ diagnostics }) {
+  const { t } = useI18n()
+  const { rowCount, skippedCount, issueCounts, issues } = diagnostics
+  const totalIssues = Object.values(issueCounts).reduce((sum, n) => sum + n, 0)
 
-  // Drop trailing empty rows (common in CSV exports)
-  while (rows.length > 0 && rows[rows.length - 1].every((v) => v === '')) {
-    rows.pop()
-  }
-
-  return rows
+  return (
+    <details className="card diagnostics">
+      <summary className="muted">
+        {t('issues.summary', { skipped: skippedCount, rows: rowCount })} ·{' '}
+        {Object.entries(issueCounts)
+          .map(([kind, n]) => `${n} ${ISSUE_KINDS.includes(kind) ? t(`issues.${kind}`) : kind}`)
+          .join(', ')}
+      </summary>
+      <ul className="diagnosticsList">
+        {issues.map((issue, i) => (
+          <li key={i}>
+            <span className="muted">{t('issues.line', { line: issue.line })}</span>{' '}
+            {ISSUE_KINDS.includes(issue.kind) ? t(`issues.detail.${issue.kind}`, issue.params) : issue.kind}
+          </li>
+        ))}
+      </ul>
+      {totalIssues > issues.length ? (
+        <p className="muted">{t('issues.more', { count: totalIssues - issues.length })}</p>
+      ) : null}
+    </details>
+  )
 }
 
 function App() {
+  const { t, tx, locale, intl } = useI18n()
   const [status, setStatus] = useState('loading') // loading | ready | error
   const [error, setError] = useState('')
   const [indicators, setIndicators] = useState([])
   const [selectedIndicator, setSelectedIndicator] = useState('')
-  const [totalsByIndicator, setTotalsByIndicator] = useState(null)
-  const [countsByIndicator, setCountsByIndicator] = useState(null)
-
-  const [voteStatus, setVoteStatus] = useState(db ? 'loading' : 'disabled') // loading | ready | error | disabled
-  const [voteError, setVoteError] = useState('')
-  const [voteCounts, setVoteCounts] = useState({ forCount: 0, againstCount: 0 })
-  const [isVoting, setIsVoting] = useState(false)
+  const [states, setStates] = useState([])
+  const [selectedState, setSelectedState] = useState(ALL_STATES)
+  const [compareStates, setCompareStates] = useState([])
+  const [overlayIndicators, setOverlayIndicators] = useState([])
+  const [monthRange, setMonthRange] = useState(null) // { start, end } monthKeys, inclusive
+  const [metric, setMetric] = useState(DEFAULT_METRIC)
+  const [monthsByState, setMonthsByState] = useState(null)
+  const [diagnostics, setDiagnostics] = useState(null)
+  const [dataSource, setDataSource] = useState(BUNDLED_SOURCE)
+  // Explicit field -> header choices from the column-mapping step; null means match by name.
+  const [columnMap, setColumnMap] = useState(null)
+  const [datasetHeaders, setDatasetHeaders] = useState([])
+  const [missingColumns, setMissingColumns] = useState(null) // { format, headers, missing } after a failed load
+  // Dated copies of the bundled dataset from public/data/manifest.json, newest first.
+  const [snapshots, setSnapshots] = useState([])
+  const [compareSnapshot, setCompareSnapshot] = useState(false)
+  const [previousDataset, setPreviousDataset] = useState(null) // { file, months } or { file, error }
+
+  const [pollsStatus, setPollsStatus] = useState(voteService ? 'loading' : 'disabled') // loading | ready | error | disabled
+  const [pollsError, setPollsError] = useState('')
+  const [polls, setPolls] = useState([])
+  const [user, setUser] = useState(null)
+  // `?embed=1`: only the chart and its citation, for iframes on partner sites. No polls, so the
+  // vote service is never used and an embed doesn't load or start Firebase.
+  const [embedded] = useState(() => isEmbedded(window.location.search))
+  // Whether the next URL update should add a history entry. Loading a dataset or going
+  // back/forward only brings the URL in line with what's shown, so those replace instead.
+  const historyModeRef = useRef('replace')
+
+  const applyView = useCallback((view) => {
+    setSelectedIndicator(view.indicator)
+    setSelectedState(view.state)
+    setCompareStates(view.compare)
+    setOverlayIndicators(view.overlay)
+    setMonthRange(view.range)
+    setMetric(view.metric)
+  }, [])
 
   useEffect(() => {
-    let cancelled = false
+    const controller = new AbortController()
 
     async function load() {
       try {
         setStatus('loading')
         setError('')
 
-        const res = await fetch('/data/overdoseRates.csv', { cache: 'no-store' })
-        if (!res.ok) {
-          throw new Error(`Failed to load CSV: ${res.status} ${res.statusText}`)
-        }
-
-        const text = await res.text()
-        const parsed = parseCsv(text)
-        const [headerRow, ...dataRows] = parsed
+        setMissingColumns(null)
 
-        if (!headerRow || headerRow.length === 0) {
-          throw new Error('CSV appears to be empty (missing header row).')
-        }
-
-        const colIndex = Object.fromEntries(headerRow.map((h, idx) => [h, idx]))
-        const yearIdx = colIndex['Year']
-        const monthIdx = colIndex['Month']
-        const indicatorIdx = colIndex['Indicator']
-        const dataValueIdx = colIndex['Data Value']
-        const predictedIdx = colIndex['Predicted Value']
-
-        if (
-          yearIdx === undefined ||
-          monthIdx === undefined ||
-          indicatorIdx === undefined ||
-          dataValueIdx === undefined
-        ) {
-          throw new Error(
-            `CSV missing required columns. Found headers: ${headerRow.join(', ')}`,
-          )
-        }
-
-        const totals = Object.create(null)
-        const counts = Object.create(null)
-        const indicatorSet = new Set()
+        const dataset = await loadOverdoseDataset(dataSource, {
+          columnMap: columnMap ?? undefined,
+          signal: controller.signal,
+        })
+        if (controller.signal.aborted) return
+
+        setIndicators(dataset.indicators)
+        setStates(dataset.states)
+        historyModeRef.current = 'replace'
+        applyView(resolveView(readViewParams(window.location.search), dataset.indicators, dataset.states))
+        setMonthsByState(dataset.months)
+        setDiagnostics(dataset.diagnostics)
+        setDatasetHeaders(dataset.headers)
+        setStatus('ready')
+      } catch (e) {
+        if (controller.signal.aborted) return
+        setStatus('error')
+        setError(e instanceof Error ? e.message : String(e))
+        if (e instanceof MissingColumnsError) setMissingColumns({ format: e.format, headers: e.headers, missing: e.missing })
+      }
+    }
 
-        for (const r of dataRows) {
-          // Normalize to header length so missing trailing fields don't shift indices.
-          const row = r.slice(0, headerRow.length)
-          while (row.length < headerRow.length) row.push('')
+    load()
+    return () => controller.abort()
+  }, [dataSource, columnMap, applyView])
 
-          const indicator = row[indicatorIdx] || ''
-          const year = Number(row[yearIdx])
-          const monthName = row[monthIdx] || ''
-          const monthNum = MONTH_TO_NUM.get(monthName)
+  useEffect(() => {
+    const controller = new AbortController()
+    loadSnapshots({ signal: controller.signal })
+      .then(setSnapshots)
+      .catch(() => {
+        // No manifest (or an unreadable one) just means no "as of" date or comparison.
+      })
+    return () => controller.abort()
+  }, [])
 
-          if (!indicator || !Number.isFinite(year) || !monthNum) continue
+  // The manifest describes the bundled file only; a dataset the user opened has no snapshots.
+  const currentSnapshot = dataSource === BUNDLED_SOURCE ? snapshots[0] ?? null : null
+  const previousSnapshot = dataSource === BUNDLED_SOURCE ? snapshots[1] ?? null : null
+  const showPrevious = compareSnapshot && previousSnapshot !== null
+  const previousFile = showPrevious ? previousSnapshot.file : null
 
-          const raw = row[dataValueIdx]
-          const rawPredicted = predictedIdx !== undefined ? row[predictedIdx] : ''
-          const value = Number(raw !== '' ? raw : rawPredicted)
-          if (!Number.isFinite(value)) continue
+  useEffect(() => {
+    if (!previousFile || previousDataset?.file === previousFile) return undefined
+    const controller = new AbortController()
 
-          const monthKey = `${year}-${String(monthNum).padStart(2, '0')}`
+    loadOverdoseDataset(
+      { kind: 'url', url: previousFile, format: 'csv', label: previousFile },
+      { signal: controller.signal },
+    )
+      .then((dataset) => setPreviousDataset({ file: previousFile, months: dataset.months }))
+      .catch((e) => {
+        if (controller.signal.aborted) return
+        setPreviousDataset({ file: previousFile, error: e instanceof Error ? e.message : String(e) })
+      })
+    return () => controller.abort()
+  }, [previousFile, previousDataset])
 
-          indicatorSet.add(indicator)
-          if (!totals[indicator]) totals[indicator] = Object.create(null)
-          if (!counts[indicator]) counts[indicator] = Object.create(null)
+  const previousMonths = previousDataset && previousDataset.file === previousFile ? previousDataset.months : null
 
-          totals[indicator][monthKey] = (totals[indicator][monthKey] ?? 0) + value
-          counts[indicator][monthKey] = (counts[indicator][monthKey] ?? 0) + 1
-        }
+  useEffect(() => {
+    if (status !== 'ready') return undefined
 
-        if (cancelled) return
+    const onPopState = () => {
+      historyModeRef.current = 'replace'
+      applyView(resolveView(readViewParams(window.location.search), indicators, states))
+    }
 
-        const indicatorList = Array.from(indicatorSet).sort((a, b) => a.localeCompare(b))
-        const defaultIndicator =
-          indicatorList.find((v) => v.toLowerCase().includes('all')) ?? indicatorList[0] ?? ''
+    window.addEventListener('popstate', onPopState)
+    return () => window.removeEventListener('popstate', onPopState)
+  }, [status, indicators, states, applyView])
 
-        setIndicators(indicatorList)
-        setSelectedIndicator(defaultIndicator)
-        setTotalsByIndicator(totals)
-        setCountsByIndicator(counts)
-        setStatus('ready')
-      } catch (e) {
-        if (cancelled) return
-        setStatus('error')
-        setError(e instanceof Error ? e.message : String(e))
-      }
-    }
+  // Mirror the view into the query string so it survives a refresh and can be shared.
+  useEffect(() => {
+    if (status !== 'ready') return
+
+    const search = writeViewParams(
+      {
+        indicator: selectedIndicator,
+        state: selectedState,
+        compare: compareStates,
+        overlay: overlayIndicators,
+        range: monthRange,
+        metric,
+      },
+      window.location.search,
+    )
+    const mode = historyModeRef.current
+    historyModeRef.current = 'push'
+    if (search === window.location.search) return
 
-    load()
-    return () => {
-      cancelled = true
-    }
-  }, [])
+    const url = `${window.location.pathname}${search}${window.location.hash}`
+    if (mode === 'push') window.history.pushState(null, '', url)
+    else window.history.replaceState(null, '', url)
+  }, [status, selectedIndicator, selectedState, compareStates, overlayIndicators, monthRange, metric])
 
+  // Rows for the selected state + drug, limited to the zoomed month range when there is one.
   const monthlyRows = useMemo(() => {
-    if (!totalsByIndicator || !selectedIndicator) return []
-    const totals = totalsByIndicator[selectedIndicator] ?? {}
-    const counts = countsByIndicator?.[selectedIndicator] ?? {}
-
-    return Object.entries(totals)
-      .map(([monthKey, total]) => {
-        const [y, mm] = monthKey.split('-')
-        const monthNum = Number(mm)
-        const year = Number(y)
-        return {
-          monthKey,
-          year,
-          monthNum,
-          monthName: MONTHS[monthNum - 1] ?? mm,
-          total,
-          count: counts[monthKey] ?? 0,
-        }
-      })
-      .sort((a, b) => a.monthKey.localeCompare(b.monthKey))
-  }, [totalsByIndicator, countsByIndicator, selectedIndicator])
+    if (!monthsByState || !selectedIndicator) return []
+    return filterMonthRange(buildMonthlyRows(monthsByState[selectedState]?.[selectedIndicator]), monthRange)
+  }, [monthsByState, selectedState, selectedIndicator, monthRange])
+
+  const stateNameByCode = useMemo(() => new Map(states.map((s) => [s.code, s.name])), [states])
+  const stateOptions = useMemo(() => states.map((s) => ({ value: s.code, label: s.name })), [states])
+  const indicatorOptions = useMemo(() => indicators.map((v) => ({ value: v, label: v })), [indicators])
+
+  // One series per (state, indicator) pair: the selected state and drug first, then any
+  // compared states and overlaid drugs.
+  const chartSeries = useMemo(() => {
+    const seriesStates = [selectedState, ...compareStates.filter((c) => c !== selectedState)]
+    const seriesIndicators = [selectedIndicator, ...overlayIndicators.filter((v) => v !== selectedIndicator)]
+
+    const series = seriesStates.flatMap((code) =>
+      seriesIndicators.map((indicator) => {
+        const stateName = stateNameByCode.get(code) ?? code
+        const label =
+          seriesStates.length > 1 && seriesIndicators.length > 1
+            ? `${stateName} · ${indicator}`
+            : seriesIndicators.length > 1
+              ? indicator
+              : stateName
+        // Metrics are applied to the full history so rolling windows can reach back past the
+        // start of a zoomed range.
+        const rows = filterMonthRange(
+          applyMetric(buildMonthlyRows(monthsByState?.[code]?.[indicator]), metric, { state: code }),
+          monthRange,
+        )
+        return { id: `${code}|${indicator}`, label, rows }
+      }),
+    )
+    if (!previousMonths || !previousSnapshot) return series
+
+    // The selected series as the previous snapshot had it, to show what the refresh revised.
+    const previousRows = filterMonthRange(
+      applyMetric(buildMonthlyRows(previousMonths[selectedState]?.[selectedIndicator]), metric, {
+        state: selectedState,
+      }),
+      monthRange,
+    )
+    return [
+      ...series,
+      {
+        id: `snapshot|${previousSnapshot.date}`,
+        label: t('snapshot.series', {
+          label: series[0]?.label ?? selectedIndicator,
+          date: dayKeyToLabel(previousSnapshot.date, intl),
+        }),
+        rows: previousRows,
+      },
+    ]
+  }, [
+    t,
+    intl,
+    previousMonths,
+    previousSnapshot,
+    metric,
+    compareStates,
+    overlayIndicators,
+    selectedState,
+    selectedIndicator,
+    stateNameByCode,
+    monthsByState,
+    monthRange,
+  ])
 
   const grandTotal = useMemo(() => monthlyRows.reduce((sum, r) => sum + r.total, 0), [monthlyRows])
-  const numberFormatter = useMemo(() => new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 }), [])
-
-  const voteDocRef = useMemo(() => {
-    if (!db) return null
-    return doc(db, 'votes', 'position')
-  }, [])
+  const metricLabel = t(`metric.${metric}.label`)
+  const metricValueFormatter = useMemo(() => metricFormatter(metric, intl), [metric, intl])
+  const exportView = useMemo(
+    () => ({
+      indicator: selectedIndicator,
+      stateName: stateNameByCode.get(selectedState) ?? selectedState,
+      metricLabel: metric === DEFAULT_METRIC ? '' : metricLabel,
+      range: monthRange,
+      description: t('export.description'),
+      sourceLabel: t('app.source'),
+    }),
+    [selectedIndicator, selectedState, stateNameByCode, metric, metricLabel, monthRange, t],
+  )
+  const latestMetricRow = chartSeries[0]?.rows[chartSeries[0].rows.length - 1] ?? null
+  const estimatedRows = useMemo(() => monthlyRows.filter((r) => r.isEstimate), [monthlyRows])
+  const numberFormatter = useMemo(() => new Intl.NumberFormat(intl, { maximumFractionDigits: 2 }), [intl])
+  const localizedPolls = useMemo(() => polls.map((poll) => localizePoll(poll, locale)), [polls, locale])
+  const formatMonth = (monthKey) => monthKeyToLabel(monthKey, intl)
+  const snapshotChanges = useMemo(() => {
+    if (!previousMonths || !monthsByState) return null
+    return compareSnapshotMonths(
+      monthsByState[selectedState]?.[selectedIndicator],
+      previousMonths[selectedState]?.[selectedIndicator],
+    )
+  }, [previousMonths, monthsByState, selectedState, selectedIndicator])
+  const asOfText = currentSnapshot ? t('source.asOf', { date: dayKeyToLabel(currentSnapshot.date, intl) }) : null
 
   useEffect(() => {
-    if (!voteDocRef) return undefined
-
-    setVoteStatus('loading')
-    setVoteError('')
-
-    const unsub = onSnapshot(
-      voteDocRef,
-      (snap) => {
-        if (!snap.exists()) {
-          setVoteCounts({ forCount: 0, againstCount: 0 })
-          setVoteStatus('ready')
-          return
-        }
-
-        const data = snap.data() ?? {}
-        const forCount = Number(data.forCount ?? 0)
-        const againstCount = Number(data.againstCount ?? 0)
+    if (!voteService || embedded) return undefined
 
-        setVoteCounts({
-          forCount: Number.isFinite(forCount) ? forCount : 0,
-          againstCount: Number.isFinite(againstCount) ? againstCount : 0,
-        })
-        setVoteStatus('ready')
+    return voteService.subscribePolls(
+      (next) => {
+        setPolls(next)
+        setPollsStatus('ready')
       },
       (err) => {
-        setVoteStatus('error')
-        setVoteError(err instanceof Error ? err.message : String(err))
+        setPollsStatus('error')
+        setPollsError(err instanceof Error ? err.message : String(err))
       },
     )
+  }, [embedded])
 
-    return () => unsub()
-  }, [voteDocRef])
-
-  const totalVotes = voteCounts.forCount + voteCounts.againstCount
-  const percentFor = totalVotes === 0 ? 0 : (voteCounts.forCount / totalVotes) * 100
-  const percentAgainst = totalVotes === 0 ? 0 : (voteCounts.againstCount / totalVotes) * 100
-
-  const castVote = useCallback(
-    async (direction) => {
-      if (!db || !voteDocRef) return
+  useEffect(() => {
+    if (!voteService || embedded) return undefined
+    return voteService.subscribeUser(setUser)
+  }, [embedded])
+
+  function snapshotNote() {
+    const date = dayKeyToLabel(previousSnapshot.date, intl)
+    if (previousDataset?.file === previousFile && previousDataset.error) {
+      return t('snapshot.loadError', { date, message: previousDataset.error })
+    }
+    if (!snapshotChanges) return t('snapshot.loading', { date })
+    const { added, revised } = snapshotChanges
+    if (added === 0 && revised === 0) return t('snapshot.noChanges', { date })
+    const changes = [
+      added > 0 ? t('snapshot.newMonths', { count: added }) : null,
+      revised > 0 ? t('snapshot.revisedMonths', { count: revised }) : null,
+    ]
+    return t('snapshot.changes', { date, changes: changes.filter(Boolean).join(', ') })
+  }
 
-      setIsVoting(true)
-      setVoteError('')
+  const citation = (
+    <a href={SOURCE_CITATION.url} target="_blank" rel="noreferrer">
+      {SOURCE_CITATION.title} ({SOURCE_CITATION.publisher})
+    </a>
+  )
 
-      try {
-        await runTransaction(db, async (tx) => {
-          const snap = await tx.get(voteDocRef)
-          const data = snap.exists() ? snap.data() ?? {} : {}
-
-          const currentFor = Number(data.forCount ?? 0)
-          const currentAgainst = Number(data.againstCount ?? 0)
-
-          const safeFor = Number.isFinite(currentFor) ? currentFor : 0
-          const safeAgainst = Number.isFinite(currentAgainst) ? currentAgainst : 0
-
-          const nextFor = direction === 'for' ? safeFor + 1 : safeFor
-          const nextAgainst = direction === 'against' ? safeAgainst + 1 : safeAgainst
-
-          tx.set(
-            voteDocRef,
-            {
-              forCount: nextFor,
-              againstCount: nextAgainst,
-              createdAt: snap.exists() ? data.createdAt ?? serverTimestamp() : serverTimestamp(),
-              updatedAt: serverTimestamp(),
-            },
-            { merge: true },
+  const chart =
+    status === 'ready' ? (
+      <LineChart
+        series={chartSeries}
+        valueFormatter={metricValueFormatter}
+        ariaLabel={t('chart.ariaLabel', { metric: metricLabel.toLowerCase() })}
+        yAxisTitle={t(`metric.${metric}.axisTitle`)}
+        toolbar={
+          embedded ? null : (
+            <>
+              <label className="label chartMetric">
+                {t('metric.label')}
+                <select className="select" value={metric} onChange={(e) => setMetric(e.target.value)}>
+                  {METRICS.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {t(`metric.${m.id}.label`)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <ExportMenu series={chartSeries} view={exportView} />
+            </>
           )
-        })
-      } catch (e) {
-        setVoteStatus('error')
-        setVoteError(e instanceof Error ? e.message : String(e))
-      } finally {
-        setIsVoting(false)
-      }
-    },
-    [voteDocRef],
-  )
+        }
+        isZoomed={monthRange !== null}
+        onRangeSelect={(start, end) => setMonthRange({ start, end })}
+        onRangeReset={() => setMonthRange(null)}
+      />
+    ) : null
+
+  // A missing-columns failure is worded here, in the UI language, from the error's fields.
+  const errorText = missingColumns
+    ? t('data.missingColumns', {
+        format: missingColumns.format,
+        missing: missingColumns.missing.join(', '),
+        headers: missingColumns.headers.join(', '),
+      })
+    : error
 
-  return (
-    <div className="page">
-      <header className="header">
-        <h1 className="title">Why You Should Vote Mayer for Mayor</h1>
-        <p className="subtitle">
-          Source:{' '}
+  const loadingNote =
+    status === 'loading' ? (
+      <div className="card">
+        <p className="muted">
+          {t('data.loading', { source: dataSource === BUNDLED_SOURCE ? t('source.bundled') : dataSource.label })}
+        </p>
+      </div>
+    ) : null
+
+  if (embedded) {
+    return (
+      <div className="page embed">
+        {loadingNote}
+        {status === 'error' ? (
+          <div className="card error">
+            <p className="errorTitle">{t('data.loadError')}</p>
+            <pre className="errorText">{errorText}</pre>
+          </div>
+        ) : null}
+        {chart}
+        <p className="muted embedCitation">
+          {t('app.source')} {citation}
+          {asOfText ? ` · ${asOfText}` : null} ·{' '}
           <a
-            href="https://catalog.data.gov/dataset/provisional-drug-overdose-death-counts-for-specific-drugs"
+            href={`${window.location.pathname}${withoutEmbed(window.location.search)}`}
             target="_blank"
             rel="noreferrer"
           >
-            Provisional drug overdose death counts for specific drugs (Data.gov)
-          </a>{' '}
+            {t('embed.openFull')}
+          </a>
         </p>
-      </header>
+      </div>
+    )
+  }
 
-      {status === 'loading' ? (
-        <div className="card">
-          <p className="muted">Loading CSV…</p>
+  return (
+    <div className="page">
+      <header className="header">
+        <div className="headerRow">
+          <h1 className="title">{t('app.title')}</h1>
+          <div className="headerControls" role="group" aria-label={t('app.settings')}>
+            <LanguageSwitcher />
+            <ThemeSwitcher />
+          </div>
         </div>
-      ) : null}
+        <p className="subtitle">
+          {t('app.source')} {citation}{' '}
+        </p>
+      </header>
+
+      <DataSourcePicker
+        source={dataSource}
+        asOf={currentSnapshot?.date}
+        onChange={(next) => {
+          setDataSource(next)
+          setColumnMap(null)
+        }}
+      >
+        {status === 'ready' && datasetHeaders.length > 0 ? (
+          <details className="columnMapperDetails">
+            <summary className="muted">{t('columns.summary')}</summary>
+            <ColumnMapper
+              key={datasetHeaders.join('\u0000')}
+              headers={datasetHeaders}
+              columnMap={columnMap}
+              onApply={setColumnMap}
+            />
+          </details>
+        ) : null}
+      </DataSourcePicker>
+
+      {loadingNote}
 
       {status === 'error' ? (
         <div className="card error">
-          <p className="errorTitle">Couldn’t load the CSV</p>
-          <pre className="errorText">{error}</pre>
-          <p className="muted">
-            Make sure the file exists at <code>public/data/overdoseRates.csv</code>.
-          </p>
+          <p className="errorTitle">{t('data.loadError')}</p>
+          <pre className="errorText">{errorText}</pre>
+          {missingColumns ? (
+            <>
+              <p className="muted">{t('data.pickColumns')}</p>
+              <ColumnMapper
+                key={missingColumns.headers.join('\u0000')}
+                headers={missingColumns.headers}
+                columnMap={columnMap}
+                onApply={setColumnMap}
+              />
+            </>
+          ) : dataSource === BUNDLED_SOURCE ? (
+            <p className="muted">{tx('data.missingFile', { path: <code>public/data/overdoseRates.csv</code> })}</p>
+          ) : null}
         </div>
       ) : null}
 
@@ -474,11 +567,15 @@ function App() {
           <div className="controls">
             <div className="controlGroup">
               <label className="label">
-                Drug
+                {t('controls.drug')}
                 <select
                   className="select"
                   value={selectedIndicator}
-                  onChange={(e) => setSelectedIndicator(e.target.value)}
+                  onChange={(e) => {
+                    const indicator = e.target.value
+                    setSelectedIndicator(indicator)
+                    setOverlayIndicators((prev) => prev.filter((v) => v !== indicator))
+                  }}
                 >
                   {indicators.map((v) => (
                     <option key={v} value={v}>
@@ -487,86 +584,167 @@ function App() {
                   ))}
                 </select>
               </label>
+
+              <label className="label">
+                {t('controls.state')}
+                <select
+                  className="select"
+                  value={selectedState}
+                  onChange={(e) => {
+                    const code = e.target.value
+                    setSelectedState(code)
+                    setCompareStates((prev) => prev.filter((c) => c !== code))
+                  }}
+                >
+                  {states.map((s) => (
+                    <option key={s.code} value={s.code}>
+                      {s.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              {states.length > 1 ? (
+                <MultiPicker
+                  label={t('controls.compare')}
+                  addText={t('controls.addState')}
+                  fullText={t('controls.maxStates', { count: MAX_COMPARED_STATES })}
+                  options={stateOptions}
+                  exclude={selectedState}
+                  selected={compareStates}
+                  max={MAX_COMPARED_STATES - 1}
+                  onChange={setCompareStates}
+                />
+              ) : null}
+
+              {indicators.length > 1 ? (
+                <MultiPicker
+                  label={t('controls.overlay')}
+                  addText={t('controls.addDrug')}
+                  fullText={t('controls.maxDrugs', { count: MAX_OVERLAID_INDICATORS })}
+                  options={indicatorOptions}
+                  exclude={selectedIndicator}
+                  selected={overlayIndicators}
+                  max={MAX_OVERLAID_INDICATORS - 1}
+                  onChange={setOverlayIndicators}
+                />
+              ) : null}
+
+              {previousSnapshot ? (
+                <label className="label">
+                  <input
+                    type="checkbox"
+                    checked={compareSnapshot}
+                    onChange={(e) => setCompareSnapshot(e.target.checked)}
+                  />
+                  {t('snapshot.compare', { date: dayKeyToLabel(previousSnapshot.date, intl) })}
+                </label>
+              ) : null}
             </div>
 
             <div className="controlGroup">
               <span className="muted">
-                Months: <strong>{monthlyRows.length}</strong> · Total: <strong>{numberFormatter.format(grandTotal)}</strong>
+                {monthRange ? (
+                  <>
+                    {formatMonth(monthRange.start)} – {formatMonth(monthRange.end)} ·{' '}
+                  </>
+                ) : null}
+                {tx('summary.months', { count: <strong>{monthlyRows.length}</strong> })}
+                {estimatedRows.length > 0 ? (
+                  <>
+                    {' '}
+                    {t('summary.estimated', {
+                      count: estimatedRows.length,
+                      range:
+                        estimatedRows.length === 1
+                          ? formatMonth(estimatedRows[0].monthKey)
+                          : `${formatMonth(estimatedRows[0].monthKey)} – ${formatMonth(
+                              estimatedRows[estimatedRows.length - 1].monthKey,
+                            )}`,
+                    })}
+                  </>
+                ) : null}{' '}
+                ·{' '}
+                {tx(estimatedRows.length > 0 ? 'summary.totalWithEstimates' : 'summary.total', {
+                  total: <strong>{numberFormatter.format(grandTotal)}</strong>,
+                })}
+                {metric !== DEFAULT_METRIC && latestMetricRow ? (
+                  <>
+                    {' '}
+                    ·{' '}
+                    {tx('summary.latest', {
+                      metric: metricLabel.toLowerCase(),
+                      value: <strong>{metricValueFormatter.format(latestMetricRow.total)}</strong>,
+                    })}
+                  </>
+                ) : null}
               </span>
             </div>
           </div>
 
-          <LineChart
+          {chart}
+
+          {showPrevious ? <p className="muted chartNote">{snapshotNote()}</p> : null}
+
+          <DataTable
             rows={monthlyRows}
             valueFormatter={numberFormatter}
-            ariaLabel="Monthly overdose totals line chart"
+            caption={`${selectedIndicator}, ${stateNameByCode.get(selectedState) ?? selectedState}`}
           />
+
+          {metric === 'per100k' ? (
+            <p className="muted chartNote">{t('data.populationNote', { source: POPULATION_SOURCE })}</p>
+          ) : null}
+
+          {diagnostics && diagnostics.issues.length > 0 ? <DataDiagnostics diagnostics={diagnostics} /> : null}
         </>
       ) : null}
 
-      <footer className="card voteCard" aria-label="Voting">
-        <div className="voteHeader">
-          <h2 className="voteTitle">Statement of Intent</h2>
-          <div className="muted">
-            Total votes ever cast: <strong>{totalVotes}</strong>
+      <section className="polls" aria-label={t('polls.region')}>
+        {pollsStatus === 'disabled' ? (
+          <div className="card voteCard">
+            <p className="muted">
+              {tx('polls.disabled', {
+                missing: <code>{firebaseConfigMissing.join(', ')}</code>,
+                emulators: <code>VITE_FIREBASE_EMULATORS=1</code>,
+              })}
+            </p>
           </div>
-        </div>
-
-        <p className="muted">
-          This data shows overdose deaths. Drugs are bad — that’s why you should vote Mayer for Mayor. We're gonna get rid of all drugs.
-          Do you agree with me?
-        </p>
-
-        {voteStatus === 'disabled' ? (
-          <p className="muted">
-            Voting isn’t configured yet. Add your Firebase config as Vite environment variables (missing:{' '}
-            <code>{firebaseConfigMissing.join(', ')}</code>).
-          </p>
         ) : null}
 
-        {voteStatus === 'loading' ? <p className="muted">Loading votes…</p> : null}
-
-        {voteStatus === 'error' && voteError ? (
-          <div className="errorNote">
-            <p className="errorTitle">Voting error</p>
-            <pre className="errorText">{voteError}</pre>
+        {pollsStatus === 'loading' ? (
+          <div className="card voteCard">
+            <p className="muted">{t('polls.loading')}</p>
           </div>
         ) : null}
 
-        <div className="voteStats">
-          <div className="voteStat">
-            <div className="voteStatLabel">In favor</div>
-            <div className="voteStatValue">{percentFor.toFixed(1)}%</div>
-            <div className="muted">{voteCounts.forCount} votes</div>
+        {pollsStatus === 'error' ? (
+          <div className="card voteCard error">
+            <p className="errorTitle">{t('polls.loadError')}</p>
+            <pre className="errorText">{pollsError}</pre>
           </div>
-          <div className="voteStat">
-            <div className="voteStatLabel">Against</div>
-            <div className="voteStatValue">{percentAgainst.toFixed(1)}%</div>
-            <div className="muted">{voteCounts.againstCount} votes</div>
+        ) : null}
+
+        {pollsStatus === 'ready' && polls.length === 0 ? (
+          <div className="card voteCard">
+            <p className="muted">{t('polls.none')}</p>
           </div>
-        </div>
+        ) : null}
 
-        <div className="voteButtons">
-          <button
-            className="button voteButton voteFor"
-            onClick={() => castVote('for')}
-            disabled={!db || isVoting || voteStatus === 'disabled'}
-          >
-            {isVoting ? 'Voting…' : 'Vote in favor'}
-          </button>
-          <button
-            className="button voteButton voteAgainst"
-            onClick={() => castVote('against')}
-            disabled={!db || isVoting || voteStatus === 'disabled'}
-          >
-            {isVoting ? 'Voting…' : 'Vote against'}
-          </button>
-        </div>
-      </footer>
+        {localizedPolls.map((poll) => (
+          <Poll key={poll.id} poll={poll} user={user} />
+        ))}
+
+        {voteService && polls.length > 0 ? (
+          <Suspense fallback={null}>
+            <VoterAccount user={user} />
+          </Suspense>
+        ) : null}
+      </section>
 
-      <footer className="siteFooter" aria-label="Project link">
+      <footer className="siteFooter" aria-label={t('app.footer')}>
         <a href="https://github.com/McChezzy51/unit3quiz-v005-votemayer" target="_blank" rel="noreferrer">
-          View this project on GitHub
+          {t('app.github')}
         </a>
       </footer>
     </div>
@@ -0,0 +1,127 @@
+// @vitest-environment jsdom
+import { cleanup, fireEvent, render, screen, within } from '@testing-library/react'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import App from './App.jsx'
+import { DATASET, POLL, fakeVoteService, serveDataset } from './test/fixtures.js'
+import { setVoteService } from './voteService.js'
+
+// The sign-in form loads Firebase Auth; the poll section is tested without it.
+vi.mock('./VoterAccount.jsx', () => ({ default: () => null }))
+
+let fake
+let restoreVoteService
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/')
+  fake = fakeVoteService()
+  restoreVoteService = setVoteService(fake.service)
+})
+
+afterEach(() => {
+  cleanup()
+  restoreVoteService()
+  vi.unstubAllGlobals()
+})
+
+describe('App data', () => {
+  it('shows a loading note until the dataset arrives', async () => {
+    let respond
+    vi.stubGlobal(
+      'fetch',
+      vi.fn((url) =>
+        url === '/data/overdoseRates.csv'
+          ? new Promise((resolve) => (respond = resolve))
+          : Promise.resolve(new Response('', { status: 404 })),
+      ),
+    )
+    render(<App />)
+
+    expect(screen.getByText('Loading Bundled CDC dataset…')).toBeTruthy()
+
+    respond(new Response(DATASET))
+    await screen.findByRole('table', { name: /monthly values/ })
+    expect(screen.queryByText('Loading Bundled CDC dataset…')).toBeNull()
+  })
+
+  it('shows why the dataset could not be loaded', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 500, statusText: 'Server Error' })))
+    render(<App />)
+
+    expect(await screen.findByText('Couldn’t load the data')).toBeTruthy()
+    expect(screen.getByText('Failed to load CSV: 500 Server Error')).toBeTruthy()
+    expect(screen.queryByRole('table', { name: /monthly values/ })).toBeNull()
+  })
+
+  it('charts the default drug for the whole country once loaded', async () => {
+    serveDataset()
+    render(<App />)
+
+    const table = await screen.findByRole('table', { name: 'Fentanyl, United States — monthly values' })
+    expect(within(table).getAllByRole('row')).toHaveLength(4)
+    expect(within(table).getByText('2,200')).toBeTruthy()
+  })
+
+  it('switches the monthly rows to the chosen drug', async () => {
+    serveDataset()
+    render(<App />)
+    await screen.findByRole('table', { name: /monthly values/ })
+
+    fireEvent.change(screen.getByLabelText('Drug'), { target: { value: 'Heroin' } })
+
+    const table = screen.getByRole('table', { name: 'Heroin, United States — monthly values' })
+    expect(within(table).getAllByRole('row')).toHaveLength(3)
+    expect(within(table).getByText('110')).toBeTruthy()
+    expect(within(table).queryByText('2,200')).toBeNull()
+  })
+
+  it('asks for the missing columns and loads once they are mapped', async () => {
+    serveDataset(DATASET.replace('Indicator', 'Drug'))
+    render(<App />)
+
+    expect(await screen.findByText(/CSV missing required columns: Indicator\./)).toBeTruthy()
+    fireEvent.change(screen.getByLabelText(/^Indicator/), { target: { value: 'Drug' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Apply column mapping' }))
+
+    expect(await screen.findByRole('table', { name: 'Fentanyl, United States — monthly values' })).toBeTruthy()
+  })
+})
+
+describe('App polls', () => {
+  beforeEach(() => {
+    serveDataset()
+  })
+
+  it('explains that voting is off without a vote service', async () => {
+    restoreVoteService()
+    restoreVoteService = setVoteService(null)
+    render(<App />)
+
+    expect(await screen.findByText(/Voting isn’t configured yet/)).toBeTruthy()
+    expect(screen.queryByText('Loading polls…')).toBeNull()
+  })
+
+  it('shows a loading card until the polls arrive', async () => {
+    render(<App />)
+
+    expect(await screen.findByText('Loading polls…')).toBeTruthy()
+  })
+
+  it('shows each poll once they arrive', async () => {
+    render(<App />)
+    await screen.findByText('Loading polls…')
+    fake.push('polls', [POLL])
+
+    expect(await screen.findByRole('heading', { name: 'Who should be mayor?' })).toBeTruthy()
+    expect(screen.getByRole('button', { name: 'Alice' })).toBeTruthy()
+    expect(screen.queryByText('Loading polls…')).toBeNull()
+  })
+
+  it('says so when the polls fail to load', async () => {
+    render(<App />)
+    await screen.findByText('Loading polls…')
+    fake.fail('polls', new Error('permission denied'))
+
+    expect(await screen.findByText('Couldn’t load the polls')).toBeTruthy()
+    expect(screen.getByText('permission denied')).toBeTruthy()
+  })
+})
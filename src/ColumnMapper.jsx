@@ -0,0 +1,62 @@
+import { useState } from 'react'
+import { COLUMN_FIELDS, resolveColumns } from './data/overdoseData.js'
+import { useI18n } from './i18n.js'
+
+// Lets the user say which header feeds each field when a source doesn't use the CDC names.
+// Remount (via `key`) when the headers change; the draft is only seeded once. Field labels
+// stay in English: they name the CDC dataset's own columns.
+function ColumnMapper({ headers, columnMap, onApply }) {
+  const { t } = useI18n()
+  const [draft, setDraft] = useState(() => {
+    const { indexes } = resolveColumns(headers, columnMap ?? {})
+    return Object.fromEntries(
+      COLUMN_FIELDS.map((f) => [f.key, indexes[f.key] !== undefined ? headers[indexes[f.key]] : '']),
+    )
+  })
+
+  const unmapped = COLUMN_FIELDS.filter((f) => f.required && !draft[f.key])
+
+  return (
+    <form
+      className="columnMapper"
+      onSubmit={(e) => {
+        e.preventDefault()
+        if (unmapped.length === 0) onApply(draft)
+      }}
+    >
+      <div className="columnMapperGrid">
+        {COLUMN_FIELDS.map((f) => (
+          <label key={f.key} className="label columnMapperField">
+            <span>
+              {f.label}
+              {f.required ? <span aria-hidden="true"> *</span> : null}
+            </span>
+            <select
+              className="select"
+              value={draft[f.key]}
+              required={f.required}
+              onChange={(e) => setDraft((prev) => ({ ...prev, [f.key]: e.target.value }))}
+            >
+              <option value="">{f.required ? t('columns.choose') : t('columns.notUsed')}</option>
+              {headers.map((h, i) => (
+                <option key={`${h}-${i}`} value={h}>
+                  {h || t('columns.unnamed', { n: i + 1 })}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      {unmapped.length > 0 ? (
+        <p className="muted">{t('columns.stillNeeded', { fields: unmapped.map((f) => f.label).join(', ') })}</p>
+      ) : null}
+
+      <button type="submit" className="button" disabled={unmapped.length > 0}>
+        {t('columns.apply')}
+      </button>
+    </form>
+  )
+}
+
+export default ColumnMapper
@@ -0,0 +1,75 @@
+import { useRef, useState } from 'react'
+import { BUNDLED_SOURCE, fileSource } from './data/sources.js'
+import { useI18n } from './i18n.js'
+import { dayKeyToLabel } from './voteHistory.js'
+
+// Shows the active dataset source and lets the user swap in a local CSV/JSON file, either
+// through the file input or by dropping it on the card. `asOf` is the bundled dataset's
+// snapshot date (YYYY-MM-DD), when the manifest has one.
+function DataSourcePicker({ source, asOf, onChange, children }) {
+  const { t, intl } = useI18n()
+  const inputRef = useRef(null)
+  const [isDragging, setIsDragging] = useState(false)
+
+  const pickFile = (file) => {
+    if (file) onChange(fileSource(file))
+  }
+
+  return (
+    <section
+      className={isDragging ? 'card sourcePicker isDragging' : 'card sourcePicker'}
+      aria-label={t('source.region')}
+      onDragOver={(e) => {
+        if (!Array.from(e.dataTransfer.types).includes('Files')) return
+        e.preventDefault()
+        e.dataTransfer.dropEffect = 'copy'
+        setIsDragging(true)
+      }}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false)
+      }}
+      onDrop={(e) => {
+        e.preventDefault()
+        setIsDragging(false)
+        pickFile(e.dataTransfer.files?.[0])
+      }}
+    >
+      <div className="sourcePickerRow">
+        <span className="muted">
+          {t('source.data')} <strong>{source === BUNDLED_SOURCE ? t('source.bundled') : source.label}</strong>
+          {source.kind === 'file' ? ` (${source.format.toUpperCase()})` : null}
+          {asOf ? ` · ${t('source.asOf', { date: dayKeyToLabel(asOf, intl) })}` : null}
+        </span>
+
+        <div className="controlGroup">
+          <input
+            ref={inputRef}
+            className="visuallyHidden"
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            tabIndex={-1}
+            aria-label={t('source.open')}
+            onChange={(e) => {
+              pickFile(e.target.files?.[0])
+              e.target.value = ''
+            }}
+          />
+          <button type="button" className="button" onClick={() => inputRef.current?.click()}>
+            {t('source.open')}
+          </button>
+          {source !== BUNDLED_SOURCE ? (
+            <button type="button" className="button" onClick={() => onChange(BUNDLED_SOURCE)}>
+              {t('source.useBundled')}
+            </button>
+          ) : null}
+        </div>
+      </div>
+
+      <p className="muted sourcePickerHint">{t('source.dropHint')}</p>
+
+      {children}
+    </section>
+  )
+}
+
+export default DataSourcePicker
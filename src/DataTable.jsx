@@ -0,0 +1,198 @@
+import { useMemo, useState } from 'react'
+import { useI18n } from './i18n.js'
+import { monthKeyToLabel, monthKeyToMonthName } from './months.js'
+
+// Roll monthly rows up into calendar years. Change is measured against the previous year in
+// the selection, so the first year shown has none.
+function summarizeByYear(rows) {
+  const byYear = new Map()
+  for (const r of rows) {
+    const year = byYear.get(r.year) ?? { year: r.year, total: 0, months: 0, estimated: 0, peak: null }
+    year.total += r.total
+    year.months += 1
+    if (r.isEstimate) year.estimated += 1
+    if (!year.peak || r.total > year.peak.total) year.peak = r
+    byYear.set(r.year, year)
+  }
+
+  const years = Array.from(byYear.values()).sort((a, b) => a.year - b.year)
+  return years.map((y, i) => {
+    const prev = years[i - 1]
+    const change = prev && prev.year === y.year - 1 ? y.total - prev.total : null
+    return {
+      ...y,
+      change,
+      changePercent: change !== null && prev.total !== 0 ? (change / prev.total) * 100 : null,
+      peakMonthKey: y.peak?.monthKey ?? '',
+      peakTotal: y.peak?.total ?? null,
+    }
+  })
+}
+
+// Headings are the `table.col.<label>` messages in the locale catalogs.
+const MONTHLY_COLUMNS = [
+  { key: 'monthKey', label: 'month' },
+  { key: 'total', label: 'deaths', numeric: true },
+  { key: 'isEstimate', label: 'status' },
+  { key: 'percentComplete', label: 'percentComplete', numeric: true },
+  { key: 'percentPending', label: 'percentPending', numeric: true },
+]
+
+const ANNUAL_COLUMNS = [
+  { key: 'year', label: 'year' },
+  { key: 'total', label: 'totalDeaths', numeric: true },
+  { key: 'change', label: 'change', numeric: true },
+  { key: 'peakMonthKey', label: 'peakMonth' },
+  { key: 'months', label: 'months', numeric: true },
+]
+
+function compareValues(a, b) {
+  // Missing values always sort last, whichever direction is chosen.
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1
+  if (b === null || b === undefined) return -1
+  if (typeof a === 'string') return a.localeCompare(b)
+  return Number(a) - Number(b)
+}
+
+// Monthly grid and annual summary for the rows currently on the chart.
+function DataTable({ rows, valueFormatter, caption }) {
+  const { t, intl } = useI18n()
+  const [mode, setMode] = useState('monthly') // monthly | annual
+  const [sort, setSort] = useState({ key: 'monthKey', dir: 'asc' })
+
+  const columns = mode === 'monthly' ? MONTHLY_COLUMNS : ANNUAL_COLUMNS
+  const baseRows = useMemo(() => (mode === 'monthly' ? rows : summarizeByYear(rows)), [mode, rows])
+
+  const sortedRows = useMemo(() => {
+    if (!columns.some((c) => c.key === sort.key)) return baseRows
+    const sign = sort.dir === 'asc' ? 1 : -1
+    return [...baseRows].sort((a, b) => {
+      const va = a[sort.key]
+      const vb = b[sort.key]
+      if (va === null || va === undefined || vb === null || vb === undefined) return compareValues(va, vb)
+      return sign * compareValues(va, vb)
+    })
+  }, [baseRows, columns, sort])
+
+  const switchMode = (next) => {
+    setMode(next)
+    setSort({ key: next === 'monthly' ? 'monthKey' : 'year', dir: 'asc' })
+  }
+
+  const percentFormatter = useMemo(
+    () => new Intl.NumberFormat(intl, { maximumFractionDigits: 1, signDisplay: 'exceptZero' }),
+    [intl],
+  )
+
+  const toggleSort = (key) => {
+    setSort((prev) => (prev.key === key ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: 'asc' }))
+  }
+
+  const renderCell = (row, key) => {
+    switch (key) {
+      case 'monthKey':
+        return monthKeyToLabel(row.monthKey, intl)
+      case 'total':
+        return valueFormatter.format(row.total)
+      case 'isEstimate':
+        return row.isEstimate ? t('table.estimate') : t('table.reported')
+      case 'percentComplete':
+      case 'percentPending':
+        return row[key] === null ? '—' : `${valueFormatter.format(row[key])}%`
+      case 'change':
+        return row.change === null
+          ? '—'
+          : `${row.change > 0 ? '+' : ''}${valueFormatter.format(row.change)}${
+              row.changePercent !== null ? ` (${percentFormatter.format(row.changePercent)}%)` : ''
+            }`
+      case 'peakMonthKey':
+        return row.peak
+          ? `${monthKeyToMonthName(row.peakMonthKey, intl)} (${valueFormatter.format(row.peakTotal)})`
+          : '—'
+      case 'months':
+        return [
+          row.months,
+          row.months < 12 ? t('table.partialYear') : '',
+          row.estimated > 0 ? t('table.estimatedMonths', { count: row.estimated }) : '',
+        ].join('')
+      default:
+        return row[key]
+    }
+  }
+
+  return (
+    <details className="card dataTable">
+      <summary>
+        <span className="dataTableTitle">{t('table.title')}</span>{' '}
+        <span className="muted">{t('table.monthCount', { count: rows.length })}</span>
+      </summary>
+
+      <div className="dataTableModes" role="group" aria-label={t('table.modes')}>
+        <button
+          type="button"
+          className="chartLegendItem"
+          aria-pressed={mode === 'monthly'}
+          onClick={() => switchMode('monthly')}
+        >
+          {t('table.monthly')}
+        </button>
+        <button
+          type="button"
+          className="chartLegendItem"
+          aria-pressed={mode === 'annual'}
+          onClick={() => switchMode('annual')}
+        >
+          {t('table.annual')}
+        </button>
+      </div>
+
+      <div className="tableWrap">
+        <table className="table">
+          <caption className="visuallyHidden">
+            {t(mode === 'monthly' ? 'table.captionMonthly' : 'table.captionAnnual', { caption })}
+          </caption>
+          <thead>
+            <tr>
+              {columns.map((c) => {
+                const active = sort.key === c.key
+                return (
+                  <th
+                    key={c.key}
+                    scope="col"
+                    className={c.numeric ? 'numeric' : undefined}
+                    aria-sort={active ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+                  >
+                    <button type="button" className="sortButton" onClick={() => toggleSort(c.key)}>
+                      {t(`table.col.${c.label}`)}
+                      <span aria-hidden="true">{active ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : ''}</span>
+                    </button>
+                  </th>
+                )
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedRows.map((row) => (
+              <tr key={mode === 'monthly' ? row.monthKey : row.year} className={row.isEstimate ? 'isEstimate' : undefined}>
+                {columns.map((c, i) =>
+                  i === 0 ? (
+                    <th key={c.key} scope="row">
+                      {renderCell(row, c.key)}
+                    </th>
+                  ) : (
+                    <td key={c.key} className={c.numeric ? 'numeric' : undefined}>
+                      {renderCell(row, c.key)}
+                    </td>
+                  ),
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {sortedRows.length === 0 ? <p className="muted dataTableEmpty">{t('table.empty')}</p> : null}
+      </div>
+    </details>
+  )
+}
+
+export default DataTable
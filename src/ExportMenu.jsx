@@ -0,0 +1,64 @@
+import { useState } from 'react'
+import { exportChartPng, exportChartSvg, exportSeriesCsv, exportSeriesJson } from './exportChart.js'
+import { useI18n } from './i18n.js'
+
+const PNG_SCALES = [1, 2, 4]
+
+// Download menu for the chart it sits in. The SVG is looked up from the surrounding
+// `.chartWrap`, so this has to be rendered inside LineChart's toolbar. `series` is what the
+// chart is drawing, so the data files hold the same values as the image.
+function ExportMenu({ series, view }) {
+  const { t } = useI18n()
+  const [scale, setScale] = useState(2)
+  const [error, setError] = useState('')
+  const hasData = series.some((s) => s.rows.length > 0)
+
+  const run = async (e, action) => {
+    setError('')
+    const svg = e.currentTarget.closest('.chartWrap')?.querySelector('svg.chart')
+    try {
+      if ((action === 'svg' || action === 'png') && !svg) throw new Error(t('export.noChart'))
+      if (action === 'csv') exportSeriesCsv(series, view)
+      else if (action === 'json') exportSeriesJson(series, view)
+      else if (action === 'svg') exportChartSvg(svg, view)
+      else await exportChartPng(svg, view, scale)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err))
+    }
+  }
+
+  return (
+    <details className="exportMenu">
+      <summary className="chartLegendItem">{t('export.menu')}</summary>
+      <div className="exportMenuPanel">
+        <button type="button" className="button" onClick={(e) => run(e, 'csv')} disabled={!hasData}>
+          {t('export.csv')}
+        </button>
+        <button type="button" className="button" onClick={(e) => run(e, 'json')} disabled={!hasData}>
+          {t('export.json')}
+        </button>
+        <button type="button" className="button" onClick={(e) => run(e, 'svg')}>
+          {t('export.svg')}
+        </button>
+        <div className="exportMenuRow">
+          <button type="button" className="button" onClick={(e) => run(e, 'png')}>
+            {t('export.png')}
+          </button>
+          <label className="label">
+            <span className="visuallyHidden">{t('export.pngScale')}</span>
+            <select className="select" value={scale} onChange={(e) => setScale(Number(e.target.value))}>
+              {PNG_SCALES.map((s) => (
+                <option key={s} value={s}>
+                  {s}×
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        {error ? <p className="errorText">{error}</p> : null}
+      </div>
+    </details>
+  )
+}
+
+export default ExportMenu
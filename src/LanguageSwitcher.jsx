@@ -0,0 +1,21 @@
+import { LOCALES, setLocale, useI18n } from './i18n.js'
+
+// UI language picker for the page header; the choice is remembered (see src/i18n.js).
+function LanguageSwitcher() {
+  const { locale, t } = useI18n()
+
+  return (
+    <label className="label headerControl">
+      {t('app.language')}
+      <select className="select" value={locale} onChange={(e) => setLocale(e.target.value)}>
+        {LOCALES.map((l) => (
+          <option key={l.code} value={l.code} lang={l.code}>
+            {l.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+export default LanguageSwitcher
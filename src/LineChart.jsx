@@ -0,0 +1,722 @@
+import { useEffect, useId, useMemo, useRef, useState } from 'react'
+import { useI18n } from './i18n.js'
+import { monthKeyToLabel } from './months.js'
+
+// Number of distinct `chartSeriesN` color classes defined in App.css; series past this wrap around.
+const SERIES_COLOR_COUNT = 8
+
+// Layout is worked out in real pixels, so text and points keep their size at any width.
+// Label widths are estimated rather than measured: about this much per character of the
+// 12px axis label font, plus a gap between neighbours.
+const LABEL_CHAR_PX = 7
+const LABEL_GAP_PX = 12
+// Aim for a y gridline about this often.
+const Y_TICK_SPACING_PX = 48
+// Room for the rotated y-axis title, left of the value labels.
+const Y_TITLE_PX = 30
+// Used until the plot has been measured, and where ResizeObserver is missing.
+const FALLBACK_SIZE = { width: 800, height: 280 }
+
+const MONTH_KEY = /^\d{4}-\d{2}$/
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Round y ticks covering [min, max]: about `count` steps of 1, 2, 2.5 or 5 × 10^n, with the
+ * domain widened out to whole steps.
+ *
+ * @returns {{ ticks: number[], min: number, max: number }}
+ */
+function niceTicks(min, max, count) {
+  const span = max > min ? max - min : 1
+  const rough = span / Math.max(1, count)
+  const magnitude = 10 ** Math.floor(Math.log10(rough))
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= rough)
+  const start = Math.floor(min / step) * step
+  const end = Math.max(Math.ceil(max / step) * step, start + step)
+  const ticks = []
+  // toPrecision() trims the float error that repeated addition of e.g. 0.1 leaves behind.
+  for (let v = start; v <= end + step / 2; v += step) ticks.push(Number(v.toPrecision(12)))
+  return { ticks, min: start, max: end }
+}
+
+const startsYear = (key) => key.slice(5, 7) === '01' && (key.length === 7 || key.slice(8) === '01')
+
+// Ways to label the x axis, densest first. Each says which keys get a tick and what it reads.
+// Month and day keys get ticks on calendar boundaries; once only one tick a year fits, the
+// labels shorten to the bare year.
+function xTickCandidates(keys) {
+  const years = [1, 2, 5, 10, 20, 50].map((every) => ({
+    pick: (key) => startsYear(key) && Number(key.slice(0, 4)) % every === 0,
+    label: (key) => key.slice(0, 4),
+  }))
+  const monthly = (every, label) => ({
+    pick: (key) => (key.length === 7 || key.slice(8) === '01') && (Number(key.slice(5, 7)) - 1) % every === 0,
+    label,
+  })
+
+  if (keys.every((k) => MONTH_KEY.test(k))) {
+    return [...[1, 2, 3, 6].map((every) => monthly(every, (key) => key)), ...years]
+  }
+  if (keys.every((k) => DAY_KEY.test(k))) {
+    return [
+      ...[1, 2, 7, 14].map((every) => ({ pick: (key, i) => i % every === 0, label: (key) => key })),
+      ...[1, 2, 3, 6].map((every) => monthly(every, (key) => key.slice(0, 7))),
+      ...years,
+    ]
+  }
+  return [1, 2, 5, 10, 20, 50, 100, 200, 500].map((every) => ({
+    pick: (key, i) => i % every === 0,
+    label: (key) => key,
+  }))
+}
+
+// The densest candidate whose labels don't overlap at these x positions, or the sparsest one
+// if none fits.
+function chooseXTicks(keys, xForIndex) {
+  const candidates = xTickCandidates(keys)
+  let ticks = []
+  for (const candidate of candidates) {
+    ticks = keys.flatMap((key, i) =>
+      candidate.pick(key, i) ? [{ key, x: xForIndex(i), label: candidate.label(key) }] : [],
+    )
+    const fits = ticks.every((tick, i) => {
+      if (i === 0) return true
+      const prev = ticks[i - 1]
+      return tick.x - prev.x >= ((prev.label.length + tick.label.length) / 2) * LABEL_CHAR_PX + LABEL_GAP_PX
+    })
+    if (fits) return ticks
+  }
+  return ticks
+}
+
+// The element's size, kept current with a ResizeObserver. Takes the element itself (from a
+// callback ref) so it starts observing whenever the element mounts.
+function useElementSize(element) {
+  const [size, setSize] = useState(null)
+
+  useEffect(() => {
+    if (!element || typeof ResizeObserver === 'undefined') return undefined
+    const observer = new ResizeObserver(([entry]) => {
+      const width = Math.round(entry.contentRect.width)
+      const height = Math.round(entry.contentRect.height)
+      setSize((prev) => (prev && prev.width === width && prev.height === height ? prev : { width, height }))
+    })
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [element])
+
+  return size
+}
+
+/**
+ * A sentence or two on one series for the chart's text alternative: where it started and
+ * ended, which way it went, and its highest point. `formatPoint` formats a point's value.
+ * Change is a percentage when the series starts above zero, otherwise a difference in units.
+ */
+function describeLine(line, formatPoint, valueFormatter, percentFormatter, t) {
+  const { label, points } = line
+  const first = points[0]
+  const last = points[points.length - 1]
+  if (points.length === 1) return t('chart.summarySingle', { label, latest: formatPoint(last), latestKey: last.label })
+
+  const diff = last.value - first.value
+  const ratio = first.value > 0 ? diff / first.value : null
+  const trend =
+    diff === 0 || (ratio !== null && Math.abs(ratio) < 0.01) ? 'Flat' : diff > 0 ? 'Up' : 'Down'
+  const peak = points.reduce((m, p) => (p.value > m.value ? p : m))
+  const sentence = t(`chart.summary${trend}`, {
+    label,
+    change: ratio !== null ? percentFormatter.format(Math.abs(ratio)) : valueFormatter.format(Math.abs(diff)),
+    start: formatPoint(first),
+    startKey: first.label,
+    latest: formatPoint(last),
+    latestKey: last.label,
+  })
+  return `${sentence} ${t('chart.summaryPeak', { peak: formatPoint(peak), peakKey: peak.label })}`
+}
+
+function LineChart({
+  series,
+  valueFormatter,
+  ariaLabel,
+  yAxisTitle,
+  xAxisTitle,
+  formatKey,
+  stepNoun,
+  markers = [],
+  toolbar = null,
+  isZoomed = false,
+  onRangeSelect,
+  onRangeReset,
+}) {
+  // series: [{ id, label, rows: [{ monthKey, total, isEstimate?, predicted?, lower?, upper?,
+  //   percentComplete?, percentPending? }] }]
+  // A `predicted` value on a reported month is drawn as a faint dashed line of its own.
+  // Rows may carry `key` instead of `monthKey` for other sortable x keys (e.g. "YYYY-MM-DD"
+  // days); pass a matching `formatKey`, `xAxisTitle` and `stepNoun`.
+  // markers: [{ key, label }] vertical reference lines at x keys that are on the chart.
+  // onRangeSelect(startKey, endKey) is called when the user brushes a month range.
+  // Axis titles, `formatKey` and `stepNoun` default to the monthly overdose chart's, in the UI language.
+  const { t, intl } = useI18n()
+  yAxisTitle = yAxisTitle ?? t('metric.count.axisTitle')
+  xAxisTitle = xAxisTitle ?? t('chart.xAxisMonth')
+  formatKey = formatKey ?? ((monthKey) => monthKeyToLabel(monthKey, intl))
+  stepNoun = stepNoun ?? t('chart.stepMonths')
+  const percentFormatter = useMemo(() => new Intl.NumberFormat(intl, { maximumFractionDigits: 1 }), [intl])
+  const changeFormatter = useMemo(
+    () => new Intl.NumberFormat(intl, { style: 'percent', maximumFractionDigits: 0 }),
+    [intl],
+  )
+  const descriptionId = useId()
+
+  const svgRef = useRef(null)
+  const [plotElement, setPlotElement] = useState(null)
+  const measured = useElementSize(plotElement)
+  const w = Math.max(1, measured?.width || FALLBACK_SIZE.width)
+  const h = Math.max(1, measured?.height || FALLBACK_SIZE.height)
+  const [hiddenIds, setHiddenIds] = useState(() => new Set())
+  // Index into monthKeys under the crosshair, from either the pointer or the arrow keys.
+  const [activeIndex, setActiveIndex] = useState(null)
+  const [activeFromKeyboard, setActiveFromKeyboard] = useState(false)
+  const [brush, setBrush] = useState(null) // { from, to } month indexes while dragging
+
+  const toggleSeries = (id) => {
+    setHiddenIds((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  const lines = series.map((s, i) => ({
+    id: s.id,
+    label: s.label,
+    colorClass: `chartSeries${i % SERIES_COLOR_COUNT}`,
+    hidden: hiddenIds.has(s.id),
+    points: s.rows
+      .filter((r) => Number.isFinite(r.total))
+      .map((r) => ({
+        key: r.key ?? r.monthKey,
+        label: formatKey(r.key ?? r.monthKey),
+        value: r.total,
+        isEstimate: Boolean(r.isEstimate),
+        predicted: Number.isFinite(r.predicted) ? r.predicted : null,
+        lower: Number.isFinite(r.lower) ? r.lower : null,
+        upper: Number.isFinite(r.upper) ? r.upper : null,
+        percentComplete: Number.isFinite(r.percentComplete) ? r.percentComplete : null,
+        percentPending: Number.isFinite(r.percentPending) ? r.percentPending : null,
+      })),
+  }))
+  const visibleLines = lines.filter((l) => !l.hidden)
+  const pointsByKey = new Map(lines.map((l) => [l.id, new Map(l.points.map((p) => [p.key, p]))]))
+
+  // Series can cover different month ranges, so x positions come from the union of months.
+  // Hidden series still count toward it so toggling one doesn't shift the others sideways.
+  const monthKeys = Array.from(new Set(lines.flatMap((l) => l.points.map((p) => p.key)))).sort()
+  const indexByMonth = new Map(monthKeys.map((k, i) => [k, i]))
+
+  const max = visibleLines.reduce(
+    (m, l) => l.points.reduce((lm, p) => Math.max(lm, p.value, p.predicted ?? 0, p.upper ?? 0), m),
+    0,
+  )
+  // Counts start at zero; derived metrics such as year-over-year change can go negative.
+  const min = visibleLines.reduce(
+    (m, l) => l.points.reduce((lm, p) => Math.min(lm, p.value, p.predicted ?? 0, p.lower ?? 0), m),
+    0,
+  )
+
+  // The y ticks depend only on the plot's height, and the left margin on how wide their labels
+  // are, so work out the vertical layout first.
+  const marginTop = 20
+  const marginBottom = 46
+  const ih = Math.max(1, h - marginTop - marginBottom)
+  const {
+    ticks: yTicks,
+    min: yMin,
+    max: yMax,
+  } = niceTicks(min, max, Math.max(2, Math.round(ih / Y_TICK_SPACING_PX)))
+  const yTickLabels = yTicks.map((v) => valueFormatter.format(v))
+  const widestYLabel = yTickLabels.reduce((m, label) => Math.max(m, label.length), 0)
+  const margin = {
+    top: marginTop,
+    right: 24,
+    bottom: marginBottom,
+    left: Y_TITLE_PX + widestYLabel * LABEL_CHAR_PX + 10,
+  }
+  const iw = Math.max(1, w - margin.left - margin.right)
+
+  const xForIndex = (i) => (monthKeys.length <= 1 ? margin.left : margin.left + (i / (monthKeys.length - 1)) * iw)
+  const xForMonth = (key) => xForIndex(indexByMonth.get(key))
+  const yForValue = (v) => {
+    const fraction = (v - yMin) / (yMax - yMin)
+    return margin.top + (1 - fraction) * ih
+  }
+
+  const pathFor = (points, valueOf = (p) => p.value) =>
+    points
+      .map((p, i) => {
+        const x = xForMonth(p.key)
+        const y = yForValue(valueOf(p))
+        return `${i === 0 ? 'M' : 'L'} ${x.toFixed(2)} ${y.toFixed(2)}`
+      })
+      .join(' ')
+
+  // Split a line into runs of reported and predicted segments. A segment touching an
+  // estimated month is drawn as predicted, so the dashed part starts at the last reported point.
+  const segmentsFor = (points) => {
+    const segments = []
+    for (let i = 1; i < points.length; i += 1) {
+      const isEstimate = points[i - 1].isEstimate || points[i].isEstimate
+      const last = segments[segments.length - 1]
+      if (last && last.isEstimate === isEstimate) last.points.push(points[i])
+      else segments.push({ isEstimate, points: [points[i - 1], points[i]] })
+    }
+    if (points.length === 1) segments.push({ isEstimate: points[0].isEstimate, points })
+    return segments
+  }
+
+  // The model's prediction for months that also have a reported value: one path per run of
+  // consecutive months with a prediction. Runs made only of estimated months are skipped, since
+  // the main line already follows the prediction there.
+  const predictionsFor = (points) => {
+    const runs = []
+    let run = []
+    for (const p of [...points, null]) {
+      if (p && p.predicted !== null) run.push(p)
+      else {
+        if (run.length > 1 && run.some((q) => !q.isEstimate)) runs.push(run)
+        run = []
+      }
+    }
+    return runs.map((r) => pathFor(r, (q) => q.predicted))
+  }
+
+  // Uncertainty band: one closed shape per run of consecutive months with both bounds.
+  const bandsFor = (points) => {
+    const runs = []
+    let run = []
+    for (const p of points) {
+      if (p.lower !== null && p.upper !== null) run.push(p)
+      else if (run.length > 0) {
+        runs.push(run)
+        run = []
+      }
+    }
+    if (run.length > 0) runs.push(run)
+    return runs.map(
+      (r) =>
+        `${pathFor(r, (p) => p.upper)} ${pathFor([...r].reverse(), (p) => p.lower).replace(/^M/, 'L')} Z`,
+    )
+  }
+
+  const hasPredictions = lines.some((l) => l.points.some((p) => p.isEstimate || p.predicted !== null))
+  // A prediction is worth showing next to the value only when the value is the reported one.
+  const separatePrediction = (p) => (p.predicted !== null && !p.isEstimate ? p.predicted : null)
+
+  const plotRight = w - margin.right
+  const plotBottom = h - margin.bottom
+  const active = activeIndex !== null && activeIndex < monthKeys.length ? activeIndex : null
+  const activeKey = active !== null ? monthKeys[active] : null
+  const activeValues =
+    activeKey === null
+      ? []
+      : visibleLines.flatMap((l) => {
+          const p = pointsByKey.get(l.id).get(activeKey)
+          return p ? [{ ...p, id: l.id, label: l.label, colorClass: l.colorClass }] : []
+        })
+  const formatPoint = (p) => {
+    const value = valueFormatter.format(p.value)
+    return p.isEstimate ? t('chart.estimate', { value }) : value
+  }
+  const activeSummary =
+    activeKey === null
+      ? ''
+      : `${formatKey(activeKey)}: ${
+          activeValues.length === 0
+            ? t('chart.noData')
+            : activeValues
+                .map((v) => `${lines.length > 1 ? `${v.label} ` : ''}${formatPoint(v)}`)
+                .join(', ')
+        }`
+
+  const summary = visibleLines
+    .filter((l) => l.points.length > 0)
+    .map((l) => describeLine(l, formatPoint, valueFormatter, changeFormatter, t))
+    .join(' ')
+
+  // The SVG is drawn at its on-screen size, but scale anyway in case CSS or zoom resizes it.
+  const indexFromPointer = (e) => {
+    const rect = svgRef.current?.getBoundingClientRect()
+    if (!rect || rect.width === 0 || monthKeys.length === 0) return null
+    const x = ((e.clientX - rect.left) / rect.width) * w
+    const fraction = monthKeys.length <= 1 ? 0 : (x - margin.left) / iw
+    return Math.min(monthKeys.length - 1, Math.max(0, Math.round(fraction * (monthKeys.length - 1))))
+  }
+
+  const handlePointerDown = (e) => {
+    if (!onRangeSelect || e.button !== 0) return
+    const i = indexFromPointer(e)
+    if (i === null) return
+    e.currentTarget.setPointerCapture(e.pointerId)
+    setBrush({ from: i, to: i })
+  }
+
+  const handlePointerMove = (e) => {
+    const i = indexFromPointer(e)
+    if (i === null) return
+    setActiveIndex(i)
+    setActiveFromKeyboard(false)
+    if (brush) setBrush((prev) => (prev ? { ...prev, to: i } : prev))
+  }
+
+  const handlePointerUp = () => {
+    if (!brush) return
+    const from = Math.min(brush.from, brush.to)
+    const to = Math.max(brush.from, brush.to)
+    setBrush(null)
+    // A click without a drag shouldn't zoom to a single month.
+    if (to > from) onRangeSelect(monthKeys[from], monthKeys[to])
+  }
+
+  const handleKeyDown = (e) => {
+    if (monthKeys.length === 0) return
+    const last = monthKeys.length - 1
+    let next
+    // The first arrow press lands on the latest month, which is usually the one people want.
+    if (e.key === 'ArrowLeft') next = active === null ? last : Math.max(0, active - 1)
+    else if (e.key === 'ArrowRight') next = active === null ? last : Math.min(last, active + 1)
+    else if (e.key === 'Home') next = 0
+    else if (e.key === 'End') next = last
+    else if (e.key === 'Escape') {
+      setActiveIndex(null)
+      return
+    } else return
+    e.preventDefault()
+    setActiveIndex(next)
+    setActiveFromKeyboard(true)
+  }
+
+  const xTicks = chooseXTicks(monthKeys, xForIndex)
+  const showLegend = lines.length > 1
+
+  return (
+    <div className="chartWrap" role="region" aria-label={ariaLabel}>
+      {showLegend || isZoomed || hasPredictions || toolbar ? (
+        <div className="chartToolbar">
+          {toolbar}
+
+          {showLegend ? (
+            <ul className="chartLegend" aria-label={t('chart.series')}>
+              {lines.map((line) => (
+                <li key={line.id}>
+                  <button
+                    type="button"
+                    className={`chartLegendItem ${line.colorClass}`}
+                    aria-pressed={!line.hidden}
+                    onClick={() => toggleSeries(line.id)}
+                  >
+                    <span className="chipSwatch" aria-hidden="true" />
+                    {line.label}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : null}
+
+          {hasPredictions ? (
+            <span className="chartEstimateKey muted">
+              <svg width="28" height="8" aria-hidden="true">
+                <line className="chartLine chartLineEstimate" x1="0" y1="4" x2="28" y2="4" />
+              </svg>
+              {t('chart.predictedKey')}
+            </span>
+          ) : null}
+
+          {isZoomed && onRangeReset ? (
+            <button type="button" className="chartLegendItem chartReset" onClick={onRangeReset}>
+              {t('chart.resetZoom')}
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+
+      {monthKeys.length === 0 ? (
+        <p className="muted">{t('chart.empty')}</p>
+      ) : (
+        <div className="chartPlot" ref={setPlotElement}>
+          <svg
+            ref={svgRef}
+            className="chart"
+            width={w}
+            height={h}
+            viewBox={`0 0 ${w} ${h}`}
+            tabIndex={0}
+            role="img"
+            aria-label={ariaLabel}
+            aria-describedby={descriptionId}
+            onKeyDown={handleKeyDown}
+            onBlur={() => {
+              if (activeFromKeyboard) setActiveIndex(null)
+            }}
+          >
+            {/* No <title>: browsers show the root one as a tooltip over the whole plot. */}
+            <desc id={descriptionId}>
+              {`${summary} ${t(onRangeSelect ? 'chart.keyboardHelpZoom' : 'chart.keyboardHelp', { steps: stepNoun })}`}
+            </desc>
+
+            {/* grid + y labels */}
+            {yTicks.map((v, i) => {
+              const y = yForValue(v)
+              return (
+                <g key={v}>
+                  <line className="chartGrid" x1={margin.left} y1={y} x2={w - margin.right} y2={y} />
+                  <text className="chartAxisLabel" x={margin.left - 10} y={y + 4} textAnchor="end">
+                    {yTickLabels[i]}
+                  </text>
+                </g>
+              )
+            })}
+
+            {/* axis titles */}
+            <text
+              className="chartAxisTitle"
+              x={margin.left + iw / 2}
+              y={h - 8}
+              textAnchor="middle"
+            >
+              {xAxisTitle}
+            </text>
+            <text
+              className="chartAxisTitle"
+              x={16}
+              y={margin.top + ih / 2}
+              textAnchor="middle"
+              transform={`rotate(-90 16 ${margin.top + ih / 2})`}
+            >
+              {yAxisTitle}
+            </text>
+
+            {/* axes */}
+            <line
+              className="chartAxis"
+              x1={margin.left}
+              y1={margin.top}
+              x2={margin.left}
+              y2={h - margin.bottom}
+            />
+            <line
+              className="chartAxis"
+              x1={margin.left}
+              y1={h - margin.bottom}
+              x2={w - margin.right}
+              y2={h - margin.bottom}
+            />
+
+            {/* reference markers */}
+            {markers
+              .filter((m) => indexByMonth.has(m.key))
+              .map((m) => {
+                const x = xForMonth(m.key)
+                return (
+                  <g key={`marker-${m.key}`} className="chartMarker">
+                    <line x1={x} y1={margin.top} x2={x} y2={plotBottom} />
+                    <text x={x + 4} y={margin.top + 10}>
+                      {m.label}
+                    </text>
+                    <title>{`${formatKey(m.key)}: ${m.label}`}</title>
+                  </g>
+                )
+              })}
+
+            {visibleLines.map((line) => (
+              <g key={line.id} className={`chartSeries ${line.colorClass}`} data-label={line.label}>
+                {/* uncertainty band */}
+                {bandsFor(line.points).map((d, i) => (
+                  <path key={`band-${i}`} className="chartBand" d={d} />
+                ))}
+
+                {/* prediction alongside reported months */}
+                {predictionsFor(line.points).map((d, i) => (
+                  <path
+                    key={`predicted-${i}`}
+                    className="chartLine chartLineEstimate chartLinePredicted"
+                    d={d}
+                    fill="none"
+                  />
+                ))}
+
+                {/* line: solid where reported, dashed where predicted */}
+                {segmentsFor(line.points).map((seg, i) => (
+                  <path
+                    key={`seg-${i}`}
+                    className={seg.isEstimate ? 'chartLine chartLineEstimate' : 'chartLine'}
+                    d={pathFor(seg.points)}
+                    fill="none"
+                  />
+                ))}
+
+                {/* points + tooltips */}
+                {line.points.map((p) => (
+                  <circle
+                    key={p.key}
+                    className={p.isEstimate ? 'chartPoint chartPointEstimate' : 'chartPoint'}
+                    cx={xForMonth(p.key)}
+                    cy={yForValue(p.value)}
+                    r={3.5}
+                  >
+                    <title>{`${showLegend ? `${line.label} · ` : ''}${p.label}: ${formatPoint(p)}`}</title>
+                  </circle>
+                ))}
+              </g>
+            ))}
+
+            {/* brush selection */}
+            {brush && brush.to !== brush.from ? (
+              <rect
+                className="chartBrush"
+                x={xForIndex(Math.min(brush.from, brush.to))}
+                y={margin.top}
+                width={Math.abs(xForIndex(brush.to) - xForIndex(brush.from))}
+                height={ih}
+              />
+            ) : null}
+
+            {/* crosshair */}
+            {activeKey !== null ? (
+              <g className="chartCrosshair" aria-hidden="true">
+                <line x1={xForIndex(active)} y1={margin.top} x2={xForIndex(active)} y2={plotBottom} />
+                {activeValues.map((v) => (
+                  <circle
+                    key={v.id}
+                    className={`chartActivePoint ${v.colorClass}`}
+                    cx={xForIndex(active)}
+                    cy={yForValue(v.value)}
+                    r={6}
+                  />
+                ))}
+              </g>
+            ) : null}
+
+            {/* pointer capture for hover + brush; drawn over the plot area only */}
+            <rect
+              className="chartOverlay"
+              x={margin.left}
+              y={margin.top}
+              width={plotRight - margin.left}
+              height={ih}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={() => setBrush(null)}
+              onPointerLeave={() => {
+                if (!brush) setActiveIndex(null)
+              }}
+            />
+
+            {/* x labels */}
+            {xTicks.map((tick) => {
+              // Keep the first and last labels inside the SVG.
+              const half = (tick.label.length * LABEL_CHAR_PX) / 2
+              const x = Math.min(Math.max(tick.x, half), w - half)
+              return (
+                <g key={`x-${tick.key}`}>
+                  <line className="chartAxis" x1={tick.x} y1={plotBottom} x2={tick.x} y2={plotBottom + 5} />
+                  <text className="chartAxisLabel chartXLabel" x={x} y={plotBottom + 18} textAnchor="middle">
+                    {tick.label}
+                  </text>
+                </g>
+              )
+            })}
+          </svg>
+
+          {activeKey !== null ? (
+            <div
+              className="chartTooltip"
+              style={{ left: `${(xForIndex(active) / w) * 100}%` }}
+              data-align={xForIndex(active) > w / 2 ? 'left' : 'right'}
+              aria-hidden="true"
+            >
+              <div className="chartTooltipTitle">{formatKey(activeKey)}</div>
+              {activeValues.length === 0 ? <div className="muted">{t('chart.noDataTooltip')}</div> : null}
+              {activeValues.map((v) => (
+                <div key={v.id} className={`chartTooltipItem ${v.colorClass}`}>
+                  <div className="chartTooltipRow">
+                    <span className="chipSwatch" />
+                    {lines.length > 1 ? <span className="muted">{v.label}</span> : null}
+                    <strong>
+                      {v.isEstimate
+                        ? t('chart.estimateShort', { value: valueFormatter.format(v.value) })
+                        : valueFormatter.format(v.value)}
+                    </strong>
+                  </div>
+                  {separatePrediction(v) !== null ? (
+                    <div className="muted">
+                      {t('chart.predicted', { value: valueFormatter.format(separatePrediction(v)) })}
+                    </div>
+                  ) : null}
+                  {v.lower !== null && v.upper !== null ? (
+                    <div className="muted">
+                      {t('chart.range', {
+                        lower: valueFormatter.format(v.lower),
+                        upper: valueFormatter.format(v.upper),
+                      })}
+                    </div>
+                  ) : null}
+                  {v.percentComplete !== null || v.percentPending !== null ? (
+                    <div className="muted">
+                      {[
+                        v.percentComplete !== null
+                          ? t('chart.complete', { percent: percentFormatter.format(v.percentComplete) })
+                          : null,
+                        v.percentPending !== null
+                          ? t('chart.pending', { percent: percentFormatter.format(v.percentPending) })
+                          : null,
+                      ]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </div>
+                  ) : null}
+                </div>
+              ))}
+            </div>
+          ) : null}
+        </div>
+      )}
+
+      {/* The chart's data as a table, for screen readers (role="img" hides the points). */}
+      {monthKeys.length > 0 ? (
+        <table className="visuallyHidden">
+          <caption>{t('chart.tableCaption', { label: ariaLabel })}</caption>
+          <thead>
+            <tr>
+              <th scope="col">{xAxisTitle}</th>
+              {visibleLines.map((line) => (
+                <th key={line.id} scope="col">
+                  {line.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {monthKeys.map((key) => (
+              <tr key={key}>
+                <th scope="row">{formatKey(key)}</th>
+                {visibleLines.map((line) => {
+                  const p = pointsByKey.get(line.id).get(key)
+                  return <td key={line.id}>{p ? formatPoint(p) : t('chart.noData')}</td>
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+
+      <div className="visuallyHidden" aria-live="polite">
+        {activeFromKeyboard ? activeSummary : ''}
+      </div>
+    </div>
+  )
+}
+
+export default LineChart
@@ -0,0 +1,77 @@
+// @vitest-environment jsdom
+import { cleanup, fireEvent, render, screen, within } from '@testing-library/react'
+import { afterEach, describe, expect, it } from 'vitest'
+import LineChart from './LineChart.jsx'
+
+const formatter = new Intl.NumberFormat('en-US')
+
+function month(monthKey, reported, predicted) {
+  const isEstimate = reported === null
+  return {
+    monthKey,
+    total: isEstimate ? predicted : reported,
+    reported,
+    predicted,
+    isEstimate,
+    lower: null,
+    upper: null,
+  }
+}
+
+function renderChart(rows) {
+  const view = render(
+    <LineChart
+      series={[{ id: 'US', label: 'United States', rows }]}
+      valueFormatter={formatter}
+      ariaLabel="Deaths line chart"
+    />,
+  )
+  return { ...view, chart: screen.getByRole('img', { name: /line chart$/ }) }
+}
+
+afterEach(cleanup)
+
+describe('LineChart predictions', () => {
+  it('draws the prediction for reported months as its own dashed line', () => {
+    const { container } = renderChart([
+      month('2024-01', 100, 110),
+      month('2024-02', 120, 125),
+      month('2024-03', 130, null),
+    ])
+
+    const predicted = container.querySelectorAll('.chartLinePredicted')
+    expect(predicted).toHaveLength(1)
+    expect(predicted[0].getAttribute('d').match(/[ML]/g)).toEqual(['M', 'L'])
+    expect(screen.getByText('Predicted (provisional estimate)')).toBeTruthy()
+  })
+
+  it('leaves the estimated tail to the main line', () => {
+    const { container } = renderChart([
+      month('2024-01', 100, null),
+      month('2024-02', null, 105),
+      month('2024-03', null, 110),
+    ])
+
+    expect(container.querySelectorAll('.chartLinePredicted')).toHaveLength(0)
+    expect(container.querySelectorAll('path.chartLineEstimate')).toHaveLength(1)
+  })
+
+  it('joins a reported month with a prediction onto the estimated tail', () => {
+    const { container } = renderChart([month('2024-01', 100, 104), month('2024-02', null, 105)])
+
+    expect(container.querySelectorAll('.chartLinePredicted')).toHaveLength(1)
+  })
+
+  it('shows the prediction next to the reported value in the tooltip', () => {
+    const { chart, container } = renderChart([month('2024-01', 100, 110), month('2024-02', null, 125)])
+    const tooltip = () => within(container.querySelector('.chartTooltip'))
+
+    fireEvent.keyDown(chart, { key: 'Home' })
+    expect(tooltip().getByText('100')).toBeTruthy()
+    expect(tooltip().getByText('Predicted: 110')).toBeTruthy()
+
+    fireEvent.keyDown(chart, { key: 'End' })
+    expect(tooltip().getByText('125 (est.)')).toBeTruthy()
+    expect(tooltip().queryByText(/^Predicted:/)).toBeNull()
+  })
+})
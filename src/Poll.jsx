@@ -0,0 +1,311 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import VoteHistory from './VoteHistory.jsx'
+import { useOnline } from './connection.js'
+import { useI18n } from './i18n.js'
+import { VoteBusyError, VoteRateLimitError, VoteRejectedError, pollStatus, resultsVisible } from './polls.js'
+import { clearQueuedVote, queueVote, useQueuedVote } from './voteQueue.js'
+import { voteService } from './voteService.js'
+
+// setTimeout can't wait longer than this; a later boundary just re-arms when it fires.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1
+
+function scheduleText(poll, status, t, dateFormatter) {
+  if (status === 'upcoming') return t('poll.opens', { date: dateFormatter.format(poll.opensAt) })
+  if (status === 'closed') return t('poll.closed', { date: dateFormatter.format(poll.closesAt) })
+  if (status === 'frozen') return t('poll.paused')
+  return poll.closesAt ? t('poll.openUntil', { date: dateFormatter.format(poll.closesAt) }) : ''
+}
+
+// Failures that mean "no connection" rather than "this vote was refused"; those votes are
+// queued and retried instead of being reported as errors.
+function isConnectionError(e) {
+  if (!navigator.onLine) return true
+  if (e?.code === 'auth/network-request-failed') return true
+  return e instanceof VoteBusyError && e.cause?.code === 'unavailable'
+}
+
+// A failed vote, as kept for the notice: `offline` marks one that was queued offline and
+// refused when it was finally sent. Anything unexpected is logged for us here, once; the
+// voter gets a summary from voteErrorMessage().
+function voteFailure(e, offline = false) {
+  if (!(e instanceof VoteRateLimitError || e instanceof VoteRejectedError || e instanceof VoteBusyError)) {
+    console.error('Vote failed:', e)
+  }
+  return { error: e, offline }
+}
+
+// What to tell the voter when a vote fails. Refusals and rate limits explain themselves.
+function voteErrorMessage(e, t) {
+  if (e instanceof VoteRateLimitError) {
+    return t('poll.errorRateLimit', { count: Math.max(1, Math.ceil(e.retryAfterMs / 1000)) })
+  }
+  if (e instanceof VoteRejectedError) return t('poll.errorRejected')
+  if (e instanceof VoteBusyError) return t('poll.errorBusy')
+  return t('poll.errorUnknown')
+}
+
+function hiddenResultsText(poll, status, t) {
+  if (poll.resultsVisibility === 'after-vote' && (status === 'open' || status === 'frozen')) {
+    return t('poll.resultsAfterVote')
+  }
+  if (status === 'upcoming') return t('poll.notOpenYet')
+  return t('poll.resultsAfterClose')
+}
+
+// The tally in a sentence: who leads (or won, once the poll has closed), or who is tied.
+function resultSummary(poll, counts, status, t, intl, percentFormatter) {
+  const total = poll.options.reduce((sum, o) => sum + (counts[o.id] ?? 0), 0)
+  if (total === 0) return t('poll.summaryNone')
+  const top = Math.max(...poll.options.map((o) => counts[o.id] ?? 0))
+  const leaders = poll.options.filter((o) => (counts[o.id] ?? 0) === top)
+  const percent = percentFormatter.format(top / total)
+  if (leaders.length > 1) {
+    const options = new Intl.ListFormat(intl, { type: 'conjunction' }).format(leaders.map((o) => o.label))
+    return t('poll.summaryTie', { options, percent })
+  }
+  return t(status === 'closed' ? 'poll.summaryWon' : 'poll.summaryLead', {
+    option: leaders[0].label,
+    percent,
+    count: top,
+    votes: t('poll.votes', { count: total }),
+  })
+}
+
+// One poll: its prompt, the tally (when the poll's visibility allows it) and a button per
+// option. `user` is the signed-in Firebase user, or null before the first vote.
+function Poll({ poll, user }) {
+  const { t, tx, intl } = useI18n()
+  const [counts, setCounts] = useState({})
+  const [ballot, setBallot] = useState(null) // { uid, choice } as last read from Firestore
+  const [isVoting, setIsVoting] = useState(false)
+  const [error, setError] = useState('')
+  const [voteNotice, setVoteNotice] = useState(null) // why the last vote didn't go through, see voteFailure()
+  const [cooldownUntil, setCooldownUntil] = useState(0) // after a rate limit, no votes until then
+  const [now, setNow] = useState(() => new Date())
+  const [historyOpen, setHistoryOpen] = useState(false)
+  const [fromCache, setFromCache] = useState(false)
+  // Whether the tally has changed since it was first read, i.e. there is news to announce.
+  const [tallyChanged, setTallyChanged] = useState(false)
+  const online = useOnline()
+  const queued = useQueuedVote(poll.id)
+
+  // Re-render when the poll opens or closes while the page is open.
+  useEffect(() => {
+    const next = [poll.opensAt, poll.closesAt].filter((d) => d && d > now).sort((a, b) => a - b)[0]
+    if (!next) return undefined
+    const id = setTimeout(() => setNow(new Date()), Math.min(next - now, MAX_TIMEOUT_MS))
+    return () => clearTimeout(id)
+  }, [poll.opensAt, poll.closesAt, now])
+
+  // Lift the rate-limit pause once it runs out.
+  useEffect(() => {
+    if (!cooldownUntil) return undefined
+    const id = setTimeout(() => {
+      setCooldownUntil(0)
+      setVoteNotice(null)
+    }, Math.max(0, cooldownUntil - Date.now()))
+    return () => clearTimeout(id)
+  }, [cooldownUntil])
+
+  useEffect(() => {
+    if (!voteService || !user) return undefined
+    return voteService.subscribeBallot(
+      poll.id,
+      user.uid,
+      (choice) => setBallot({ uid: user.uid, choice }),
+      (err) => setError(err instanceof Error ? err.message : String(err)),
+    )
+  }, [poll.id, user])
+
+  // Ignore a ballot left over from a user who has since signed out.
+  const myVote = user && ballot?.uid === user.uid ? ballot.choice : null
+  const status = pollStatus(poll, now)
+  const showResults = resultsVisible(poll, { hasVoted: Boolean(myVote), now })
+
+  useEffect(() => {
+    if (!voteService || !showResults) return undefined
+    let last = null
+    return voteService.subscribeTally(
+      poll.id,
+      (next, meta) => {
+        const key = JSON.stringify(next)
+        if (last !== null && key !== last) setTallyChanged(true)
+        last = key
+        setCounts(next)
+        setFromCache(meta.fromCache)
+      },
+      (err) => setError(err instanceof Error ? err.message : String(err)),
+    )
+  }, [poll.id, showResults])
+
+  // Send a vote queued while offline once the connection is back (or the tally starts coming
+  // from the server again). It's confirmed when the ballot listener reports it, or rolled
+  // back with an explanation if the server refuses it, e.g. because the poll has closed.
+  useEffect(() => {
+    if (!voteService || !queued || !online || fromCache) return undefined
+    let cancelled = false
+
+    ;(async () => {
+      try {
+        const voter = await voteService.ensureVoter()
+        await voteService.castBallot(poll.id, voter.uid, queued.choice)
+        clearQueuedVote(poll.id)
+      } catch (e) {
+        if (cancelled || isConnectionError(e)) return
+        clearQueuedVote(poll.id)
+        setVoteNotice(voteFailure(e, true))
+      }
+    })()
+
+    return () => {
+      cancelled = true
+    }
+  }, [poll.id, queued, online, fromCache])
+
+  const castVote = useCallback(
+    async (optionId) => {
+      if (!voteService) return
+
+      setVoteNotice(null)
+      if (!navigator.onLine) {
+        queueVote(poll.id, optionId)
+        return
+      }
+
+      setIsVoting(true)
+      try {
+        const voter = await voteService.ensureVoter()
+        await voteService.castBallot(poll.id, voter.uid, optionId)
+        clearQueuedVote(poll.id)
+      } catch (e) {
+        if (isConnectionError(e)) {
+          queueVote(poll.id, optionId)
+        } else {
+          if (e instanceof VoteRateLimitError) setCooldownUntil(Date.now() + e.retryAfterMs)
+          setVoteNotice(voteFailure(e))
+        }
+      } finally {
+        setIsVoting(false)
+      }
+    },
+    [poll.id],
+  )
+
+  const totalVotes = poll.options.reduce((sum, o) => sum + (counts[o.id] ?? 0), 0)
+  // A queued vote is shown as the voter's choice straight away, marked as not yet synced.
+  const shownVote = queued?.choice ?? myVote
+  const myOption = poll.options.find((o) => o.id === shownVote)
+  const connection = !online ? 'offline' : showResults && fromCache ? 'connecting' : 'live'
+  const dateFormatter = useMemo(() => new Intl.DateTimeFormat(intl, { dateStyle: 'medium', timeStyle: 'short' }), [intl])
+  const percentFormatter = useMemo(
+    () => new Intl.NumberFormat(intl, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+    [intl],
+  )
+  const summary = showResults ? resultSummary(poll, counts, status, t, intl, percentFormatter) : ''
+  const schedule = scheduleText(poll, status, t, dateFormatter)
+  const connectionLabels = { live: t('poll.live'), connecting: t('poll.connecting'), offline: t('poll.offline') }
+  let voteNoticeText = ''
+  if (voteNotice) {
+    const reason = voteErrorMessage(voteNotice.error, t)
+    voteNoticeText = voteNotice.offline ? t('poll.offlineUndone', { reason }) : reason
+  }
+  const titleId = `poll-${poll.id}`
+
+  return (
+    <section className="card voteCard" aria-labelledby={titleId}>
+      <div className="voteHeader">
+        <h2 className="voteTitle" id={titleId}>
+          {poll.title}
+        </h2>
+        <div className="voteHeaderMeta">
+          {showResults ? (
+            <span className="muted">{tx('poll.totalVotes', { count: <strong>{totalVotes}</strong> })}</span>
+          ) : null}
+          <span className="connectionStatus" data-state={connection} role="status">
+            <span className="connectionDot" aria-hidden="true" />
+            {connectionLabels[connection]}
+          </span>
+        </div>
+      </div>
+
+      {poll.prompt ? <p className="muted">{poll.prompt}</p> : null}
+      {schedule ? <p className="muted pollSchedule">{schedule}</p> : null}
+
+      {error ? (
+        <div className="errorNote">
+          <p className="errorTitle">{t('poll.error')}</p>
+          <pre className="errorText">{error}</pre>
+        </div>
+      ) : null}
+      {voteNoticeText ? (
+        <p className="voteNotice" role="alert">
+          {voteNoticeText}
+        </p>
+      ) : null}
+
+      {showResults ? (
+        <div className="voteStats">
+          {poll.options.map((o) => {
+            const count = counts[o.id] ?? 0
+            const share = totalVotes === 0 ? 0 : count / totalVotes
+            return (
+              <div key={o.id} className="voteStat">
+                <div className="voteStatLabel">{o.label}</div>
+                <div className="voteStatValue">{percentFormatter.format(share)}</div>
+                <div className="muted">{t('poll.votes', { count })}</div>
+              </div>
+            )
+          })}
+        </div>
+      ) : (
+        <p className="muted">{hiddenResultsText(poll, status, t)}</p>
+      )}
+      {showResults ? <p className="voteSummary">{summary}</p> : null}
+      {/* Tally changes from other voters, read out as they arrive; silent on the first read. */}
+      <p className="visuallyHidden" aria-live="polite">
+        {showResults && tallyChanged ? t('poll.updated', { summary }) : ''}
+      </p>
+
+      {showResults ? (
+        <details className="voteHistory" onToggle={(e) => setHistoryOpen(e.currentTarget.open)}>
+          <summary className="muted">{t('poll.history')}</summary>
+          {historyOpen ? (
+            <VoteHistory poll={poll} end={status === 'closed' ? poll.closesAt : now} />
+          ) : null}
+        </details>
+      ) : null}
+
+      {myOption ? (
+        <p className="voteMine">
+          {queued
+            ? tx('poll.youVotedPending', {
+                option: <strong>{myOption.label}</strong>,
+                pending: <span className="votePending">{t('poll.pendingSync')}</span>,
+              })
+            : tx(status === 'open' ? 'poll.youVotedChange' : 'poll.youVoted', {
+                option: <strong>{myOption.label}</strong>,
+              })}
+        </p>
+      ) : null}
+
+      {status === 'open' ? (
+        <div className="voteButtons">
+          {poll.options.map((o) => (
+            <button
+              key={o.id}
+              type="button"
+              className="button voteButton"
+              onClick={() => castVote(o.id)}
+              disabled={!voteService || isVoting || Boolean(cooldownUntil) || shownVote === o.id}
+              aria-pressed={shownVote === o.id}
+            >
+              {isVoting ? t('poll.voting') : o.label}
+            </button>
+          ))}
+        </div>
+      ) : null}
+    </section>
+  )
+}
+
+export default Poll
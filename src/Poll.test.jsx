@@ -0,0 +1,83 @@
+// @vitest-environment jsdom
+import { act, cleanup, fireEvent, render, screen } from '@testing-library/react'
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+import Poll from './Poll.jsx'
+import { VoteRejectedError } from './polls.js'
+import { POLL, VOTER, fakeVoteService } from './test/fixtures.js'
+import { setVoteService } from './voteService.js'
+
+let restoreVoteService
+
+afterEach(() => {
+  cleanup()
+  restoreVoteService?.()
+  restoreVoteService = undefined
+  window.localStorage.clear()
+})
+
+describe('Poll', () => {
+  it('disables voting without a vote service', () => {
+    restoreVoteService = setVoteService(null)
+    render(<Poll poll={POLL} user={null} />)
+
+    expect(screen.getByRole('button', { name: 'Alice' }).disabled).toBe(true)
+    expect(screen.getByRole('button', { name: 'Bob' }).disabled).toBe(true)
+  })
+
+  describe('with a vote service', () => {
+    let fake
+
+    beforeEach(() => {
+      fake = fakeVoteService()
+      restoreVoteService = setVoteService(fake.service)
+    })
+
+    it('shows the tally as it arrives', () => {
+      render(<Poll poll={POLL} user={VOTER} />)
+      fake.push('tally', { alice: 3, bob: 1 })
+
+      expect(screen.getByText('Total votes:').textContent).toBe('Total votes: 4')
+      expect(screen.getByText(/^Alice leads with 75/)).toBeTruthy()
+      expect(screen.getByRole('button', { name: 'Alice' }).disabled).toBe(false)
+    })
+
+    it('signs the voter in, casts the ballot and shows the choice', async () => {
+      let finishVote
+      fake.service.castBallot.mockImplementation(() => new Promise((resolve) => (finishVote = resolve)))
+      render(<Poll poll={POLL} user={VOTER} />)
+      fake.push('tally', { alice: 3, bob: 1 })
+
+      fireEvent.click(screen.getByRole('button', { name: 'Bob' }))
+      expect(await screen.findAllByRole('button', { name: 'Voting…' })).toHaveLength(2)
+      expect(fake.service.ensureVoter).toHaveBeenCalled()
+      expect(fake.service.castBallot).toHaveBeenCalledWith('mayor', 'voter', 'bob')
+
+      await act(async () => finishVote(true))
+      fake.push('ballot', 'bob')
+
+      expect(screen.getByText(/^You voted/).textContent).toBe('You voted Bob. You can change your vote below.')
+      expect(screen.getByRole('button', { name: 'Bob' }).getAttribute('aria-pressed')).toBe('true')
+    })
+
+    it('explains a vote the server refused', async () => {
+      fake.service.castBallot.mockRejectedValue(new VoteRejectedError(new Error('permission-denied')))
+      render(<Poll poll={POLL} user={VOTER} />)
+      fake.push('tally', { alice: 3, bob: 1 })
+
+      fireEvent.click(screen.getByRole('button', { name: 'Bob' }))
+
+      expect((await screen.findByRole('alert')).textContent).toBe(
+        'Your vote wasn’t accepted. The poll may have closed or been paused; reload the page to check.',
+      )
+      expect(screen.queryByText(/^You voted/)).toBeNull()
+    })
+
+    it('shows an error when the tally cannot be read', () => {
+      render(<Poll poll={POLL} user={VOTER} />)
+      fake.fail('tally', new Error('permission denied'))
+
+      expect(screen.getByText('Voting error')).toBeTruthy()
+      expect(screen.getByText('permission denied')).toBeTruthy()
+    })
+  })
+})
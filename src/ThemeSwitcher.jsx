@@ -0,0 +1,29 @@
+import { useI18n } from './i18n.js'
+import { THEMES, setHighContrast, setTheme, useTheme } from './theme.js'
+
+// Theme picker and high-contrast chart toggle for the page header (see src/theme.js).
+function ThemeSwitcher() {
+  const { t } = useI18n()
+  const { theme, highContrast } = useTheme()
+
+  return (
+    <>
+      <label className="label headerControl">
+        {t('theme.label')}
+        <select className="select" value={theme} onChange={(e) => setTheme(e.target.value)}>
+          {THEMES.map((id) => (
+            <option key={id} value={id}>
+              {t(`theme.${id}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="label headerControl">
+        <input type="checkbox" checked={highContrast} onChange={(e) => setHighContrast(e.target.checked)} />
+        {t('theme.highContrast')}
+      </label>
+    </>
+  )
+}
+
+export default ThemeSwitcher
@@ -0,0 +1,69 @@
+import { useEffect, useMemo, useState } from 'react'
+import LineChart from './LineChart.jsx'
+import { loadDataReleases } from './data/releases.js'
+import { useI18n } from './i18n.js'
+import { buildShareByDay, dayKeyToLabel } from './voteHistory.js'
+import { voteService } from './voteService.js'
+
+// Cumulative share of the vote per option, day by day, optionally with the overdose data
+// release dates marked. Only rendered while its panel is open, since it reads every event.
+// The toggle for the release dates is left out while releases.json lists none.
+function VoteHistory({ poll, end }) {
+  const { t, intl } = useI18n()
+  const [events, setEvents] = useState([])
+  const [releases, setReleases] = useState([])
+  const [showReleases, setShowReleases] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!voteService) return undefined
+    return voteService.subscribeVoteEvents(poll.id, setEvents, (err) =>
+      setError(err instanceof Error ? err.message : String(err)),
+    )
+  }, [poll.id])
+
+  useEffect(() => {
+    const controller = new AbortController()
+    // The markers are optional, so a file that can't be read just means there are none.
+    loadDataReleases({ signal: controller.signal })
+      .then(setReleases)
+      .catch(() => {})
+    return () => controller.abort()
+  }, [])
+
+  const shareFormatter = useMemo(() => {
+    const nf = new Intl.NumberFormat(intl, { maximumFractionDigits: 1 })
+    return { format: (n) => `${nf.format(n)}%` }
+  }, [intl])
+  const series = useMemo(() => buildShareByDay(events, poll.options, end), [events, poll.options, end])
+  const markers = useMemo(
+    () => (showReleases ? releases.map((r) => ({ key: r.date, label: r.label })) : []),
+    [showReleases, releases],
+  )
+
+  if (error) return <p className="errorText">{error}</p>
+  if (series.length === 0) return <p className="muted">{t('history.empty')}</p>
+
+  return (
+    <LineChart
+      series={series}
+      valueFormatter={shareFormatter}
+      ariaLabel={t('history.ariaLabel', { title: poll.title })}
+      yAxisTitle={t('history.yAxis')}
+      xAxisTitle={t('history.xAxis')}
+      formatKey={(key) => dayKeyToLabel(key, intl)}
+      stepNoun={t('chart.stepDays')}
+      markers={markers}
+      toolbar={
+        releases.length > 0 ? (
+          <label className="label voteHistoryReleases">
+            <input type="checkbox" checked={showReleases} onChange={(e) => setShowReleases(e.target.checked)} />
+            {t('history.releases')}
+          </label>
+        ) : null
+      }
+    />
+  )
+}
+
+export default VoteHistory
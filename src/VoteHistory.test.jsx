@@ -0,0 +1,62 @@
+// @vitest-environment jsdom
+import { act, cleanup, fireEvent, render, screen } from '@testing-library/react'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import VoteHistory from './VoteHistory.jsx'
+import { POLL, fakeVoteService } from './test/fixtures.js'
+import { setVoteService } from './voteService.js'
+
+const EVENTS = [
+  { id: 'e1', choice: 'alice', previous: null, at: new Date(2025, 0, 14, 9) },
+  { id: 'e2', choice: 'bob', previous: null, at: new Date(2025, 0, 15, 9) },
+]
+const END = new Date(2025, 0, 16)
+
+let fake
+let restoreVoteService
+
+function serveReleases(response) {
+  vi.stubGlobal('fetch', vi.fn(async () => response))
+}
+
+async function renderHistory() {
+  render(<VoteHistory poll={POLL} end={END} />)
+  fake.push('events', EVENTS)
+  await screen.findByRole('img', { name: /share of the vote by day/ })
+  // Let the releases request settle.
+  await act(async () => {})
+}
+
+beforeEach(() => {
+  fake = fakeVoteService()
+  restoreVoteService = setVoteService(fake.service)
+})
+
+afterEach(() => {
+  cleanup()
+  restoreVoteService()
+  vi.unstubAllGlobals()
+})
+
+describe('VoteHistory', () => {
+  it.each([
+    ['lists no releases', () => Response.json({ releases: [] })],
+    ['is missing', () => new Response('', { status: 404 })],
+  ])('leaves out the releases toggle when releases.json %s', async (_name, response) => {
+    serveReleases(response())
+    await renderHistory()
+
+    expect(screen.queryByRole('checkbox', { name: 'Mark overdose data releases' })).toBeNull()
+  })
+
+  it('marks the listed releases once the toggle is ticked', async () => {
+    serveReleases(Response.json({ releases: [{ date: '2025-01-15', label: 'CDC monthly update' }] }))
+    await renderHistory()
+
+    const toggle = await screen.findByRole('checkbox', { name: 'Mark overdose data releases' })
+    expect(screen.queryByText('CDC monthly update')).toBeNull()
+
+    fireEvent.click(toggle)
+
+    expect(screen.getByText('CDC monthly update')).toBeTruthy()
+  })
+})
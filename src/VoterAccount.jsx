@@ -0,0 +1,73 @@
+import { useEffect, useState } from 'react'
+import { signOut } from 'firebase/auth'
+import { completeEmailSignIn, sendEmailSignInLink } from './auth.js'
+import { auth } from './firebase.js'
+import { useI18n } from './i18n.js'
+
+// How the visitor is signed in for voting, with the option to switch from an anonymous
+// session to an emailed sign-in link.
+function VoterAccount({ user }) {
+  const { t } = useI18n()
+  const [signInEmail, setSignInEmail] = useState('')
+  const [emailLinkStatus, setEmailLinkStatus] = useState('idle') // idle | sending | sent
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    completeEmailSignIn().catch((e) => {
+      setError(e instanceof Error ? e.message : String(e))
+    })
+  }, [])
+
+  const sendSignInLink = async (e) => {
+    e.preventDefault()
+    setEmailLinkStatus('sending')
+    setError('')
+    try {
+      await sendEmailSignInLink(signInEmail.trim())
+      setEmailLinkStatus('sent')
+    } catch (err) {
+      setEmailLinkStatus('idle')
+      setError(err instanceof Error ? err.message : String(err))
+    }
+  }
+
+  return (
+    <div className="voteAccount">
+      {user && !user.isAnonymous ? (
+        <p className="muted">
+          {t('account.signedInAs', { email: user.email })}{' '}
+          <button type="button" className="linkButton" onClick={() => signOut(auth)}>
+            {t('account.signOut')}
+          </button>
+        </p>
+      ) : emailLinkStatus === 'sent' ? (
+        <p className="muted">{t('account.checkEmail', { email: signInEmail.trim() })}</p>
+      ) : (
+        <details>
+          <summary className="muted">
+            {user ? t('account.anonymous') : t('account.willSignIn')} {t('account.useEmail')}
+          </summary>
+          <form className="voteEmailForm" onSubmit={sendSignInLink}>
+            <label className="label">
+              {t('account.email')}
+              <input
+                className="input"
+                type="email"
+                required
+                autoComplete="email"
+                value={signInEmail}
+                onChange={(e) => setSignInEmail(e.target.value)}
+              />
+            </label>
+            <button type="submit" className="button" disabled={emailLinkStatus === 'sending'}>
+              {emailLinkStatus === 'sending' ? t('account.sending') : t('account.sendLink')}
+            </button>
+          </form>
+        </details>
+      )}
+      {error ? <p className="errorText">{error}</p> : null}
+    </div>
+  )
+}
+
+export default VoterAccount
@@ -0,0 +1,233 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  writeBatch,
+} from 'firebase/firestore'
+import { csvField, download } from './exportChart.js'
+import { toDate } from './polls.js'
+
+// Staff tools behind /admin. Campaign staff are the users with a document at `admins/{uid}`,
+// added by hand in the Firebase console; they have to sign in with an email link, since an
+// anonymous session can't be told apart from any other visitor.
+//
+// Every action taken from the dashboard also writes an `audit/{entryId}` record:
+//
+//   { action, pollId, uid, email, details, at }
+//
+// in the same batch as the change it describes (the first batch, for a reset), so a change
+// can't land without its entry. firestore.rules lets staff add entries but not edit or
+// delete them.
+
+// A batched write takes at most 500 operations.
+const BATCH_LIMIT = 500
+
+const VOTE_COLLECTIONS = ['ballots', 'shards', 'events']
+
+/** Whether `uid` is on the staff list. */
+export async function isAdmin(db, uid) {
+  const snap = await getDoc(doc(db, 'admins', uid))
+  return snap.exists()
+}
+
+function addAuditEntry(batch, db, user, action, pollId, details = {}) {
+  batch.set(doc(collection(db, 'audit')), {
+    action,
+    pollId,
+    uid: user.uid,
+    email: user.email ?? null,
+    details,
+    at: serverTimestamp(),
+  })
+}
+
+/**
+ * Pause or resume voting on a poll. The tally and results stay visible; only new votes are
+ * refused (see isOpen() in firestore.rules).
+ *
+ * @param {import('firebase/auth').User} user the staff member, for the audit log
+ */
+export async function setPollFrozen(db, user, pollId, frozen) {
+  const batch = writeBatch(db)
+  batch.update(doc(db, 'polls', pollId), { frozen })
+  addAuditEntry(batch, db, user, frozen ? 'freeze' : 'unfreeze', pollId)
+  await batch.commit()
+}
+
+/**
+ * Delete every ballot, shard and event of a poll, starting its tally over. The poll has to be
+ * frozen first, so no vote lands half-way through.
+ *
+ * @returns {Promise<{ ballots: number, shards: number, events: number }>} documents deleted
+ */
+export async function resetPoll(db, user, pollId) {
+  const snaps = await Promise.all(VOTE_COLLECTIONS.map((name) => getDocs(collection(db, 'polls', pollId, name))))
+  const details = Object.fromEntries(VOTE_COLLECTIONS.map((name, i) => [name, snaps[i].size]))
+  const refs = snaps.flatMap((snap) => snap.docs.map((d) => d.ref))
+
+  // The audit entry goes in the first batch, so a reset that fails part-way is still logged.
+  let batch = writeBatch(db)
+  addAuditEntry(batch, db, user, 'reset', pollId, details)
+  let size = 1
+  for (const ref of refs) {
+    if (size === BATCH_LIMIT) {
+      await batch.commit()
+      batch = writeBatch(db)
+      size = 0
+    }
+    batch.delete(ref)
+    size += 1
+  }
+  await batch.commit()
+  return details
+}
+
+/**
+ * @typedef {object} BallotRecord
+ * @property {string} uid
+ * @property {string} choice
+ * @property {string} shard
+ * @property {Date | null} createdAt
+ * @property {Date | null} updatedAt
+ */
+
+/**
+ * Follow every ballot of a poll, oldest first.
+ *
+ * @param {(ballots: BallotRecord[]) => void} onBallots
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeBallots(db, pollId, onBallots, onError) {
+  return onSnapshot(
+    collection(db, 'polls', pollId, 'ballots'),
+    (snap) => {
+      const ballots = snap.docs.map((d) => {
+        const data = d.data() ?? {}
+        return {
+          uid: d.id,
+          choice: String(data.choice ?? ''),
+          shard: String(data.shard ?? ''),
+          createdAt: toDate(data.createdAt),
+          updatedAt: toDate(data.updatedAt),
+        }
+      })
+      onBallots(ballots.sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0)))
+    },
+    onError,
+  )
+}
+
+/**
+ * Follow the raw counter shards of a poll, unsummed, so staff can see each one.
+ *
+ * @param {(shards: { id: string, counts: Record<string, number>, updatedAt: Date | null }[]) => void} onShards
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeShards(db, pollId, onShards, onError) {
+  return onSnapshot(
+    collection(db, 'polls', pollId, 'shards'),
+    (snap) => {
+      const shards = snap.docs.map((d) => {
+        const data = d.data() ?? {}
+        const counts = {}
+        for (const [optionId, value] of Object.entries(data.counts ?? {})) {
+          const n = Number(value)
+          if (Number.isFinite(n)) counts[optionId] = n
+        }
+        return { id: d.id, counts, updatedAt: toDate(data.updatedAt) }
+      })
+      onShards(shards.sort((a, b) => Number(a.id) - Number(b.id)))
+    },
+    onError,
+  )
+}
+
+/**
+ * @typedef {object} AuditEntry
+ * @property {string} id
+ * @property {string} action freeze, unfreeze, reset, export-ballots or export-events
+ * @property {string} pollId
+ * @property {string} uid
+ * @property {string | null} email
+ * @property {Record<string, unknown>} details
+ * @property {Date | null} at
+ */
+
+/**
+ * Follow the most recent audit entries, newest first.
+ *
+ * @param {(entries: AuditEntry[]) => void} onEntries
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeAuditLog(db, onEntries, onError, count = 50) {
+  return onSnapshot(
+    query(collection(db, 'audit'), orderBy('at', 'desc'), limit(count)),
+    (snap) => {
+      onEntries(
+        snap.docs.map((d) => {
+          const data = d.data({ serverTimestamps: 'estimate' }) ?? {}
+          return {
+            id: d.id,
+            action: String(data.action ?? ''),
+            pollId: String(data.pollId ?? ''),
+            uid: String(data.uid ?? ''),
+            email: typeof data.email === 'string' ? data.email : null,
+            details: data.details && typeof data.details === 'object' ? data.details : {},
+            at: toDate(data.at),
+          }
+        }),
+      )
+    },
+    onError,
+  )
+}
+
+function toCsv(fields, records) {
+  const lines = [
+    fields.map(([name]) => name).join(','),
+    ...records.map((r) => fields.map(([, get]) => csvField(get(r))).join(',')),
+  ]
+  return new Blob([`${lines.join('\n')}\n`], { type: 'text/csv' })
+}
+
+function isoOrEmpty(date) {
+  return date ? date.toISOString() : ''
+}
+
+const BALLOT_FIELDS = [
+  ['uid', (b) => b.uid],
+  ['choice', (b) => b.choice],
+  ['shard', (b) => b.shard],
+  ['created_at', (b) => isoOrEmpty(b.createdAt)],
+  ['updated_at', (b) => isoOrEmpty(b.updatedAt)],
+]
+
+const EVENT_FIELDS = [
+  ['event_id', (e) => e.id],
+  ['at', (e) => isoOrEmpty(e.at)],
+  ['choice', (e) => e.choice],
+  ['previous', (e) => e.previous],
+]
+
+/**
+ * Download a poll's ballots (one row per voter, their current choice) or events (one row per
+ * vote or switch) as CSV, and log the export.
+ *
+ * @param {'ballots' | 'events'} kind
+ * @param {BallotRecord[] | import('./votes.js').VoteEvent[]} records
+ */
+export async function exportVoteRecords(db, user, pollId, kind, records) {
+  const batch = writeBatch(db)
+  addAuditEntry(batch, db, user, `export-${kind}`, pollId, { rows: records.length })
+  await batch.commit()
+
+  const blob = toCsv(kind === 'ballots' ? BALLOT_FIELDS : EVENT_FIELDS, records)
+  const stamp = new Date().toISOString().slice(0, 10)
+  download(blob, `poll-${pollId}-${kind}-${stamp}.csv`)
+}
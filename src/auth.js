@@ -0,0 +1,77 @@
+import {
+  EmailAuthProvider,
+  isSignInWithEmailLink,
+  linkWithCredential,
+  sendSignInLinkToEmail,
+  signInAnonymously,
+  signInWithCredential,
+} from 'firebase/auth'
+import { auth } from './firebase.js'
+import { getLocale, translate } from './i18n.js'
+
+// The address the sign-in link was sent to, so opening the link on the same device doesn't
+// have to ask for it again.
+const EMAIL_STORAGE_KEY = 'votemayer.emailForSignIn'
+
+// Parameters Firebase adds to the return URL of an email link.
+const EMAIL_LINK_PARAMS = ['apiKey', 'oobCode', 'mode', 'lang', 'continueUrl', 'tenantId']
+
+/** The signed-in user, signing in anonymously first when there is none. */
+export async function ensureSignedIn() {
+  if (!auth) throw new Error(translate(getLocale(), 'polls.notConfigured'))
+  await auth.authStateReady()
+  if (auth.currentUser) return auth.currentUser
+  const { user } = await signInAnonymously(auth)
+  return user
+}
+
+export async function sendEmailSignInLink(email) {
+  if (!auth) throw new Error(translate(getLocale(), 'polls.notConfigured'))
+  await sendSignInLinkToEmail(auth, email, { url: window.location.href, handleCodeInApp: true })
+  window.localStorage.setItem(EMAIL_STORAGE_KEY, email)
+}
+
+async function finishEmailSignIn() {
+  if (!auth || !isSignInWithEmailLink(auth, window.location.href)) return false
+
+  const email =
+    window.localStorage.getItem(EMAIL_STORAGE_KEY) ?? window.prompt(translate(getLocale(), 'account.confirmEmail'))
+  if (!email) return true
+
+  const credential = EmailAuthProvider.credentialWithLink(email, window.location.href)
+  await auth.authStateReady()
+  if (auth.currentUser?.isAnonymous) {
+    try {
+      await linkWithCredential(auth.currentUser, credential)
+    } catch (e) {
+      if (e?.code !== 'auth/credential-already-in-use' && e?.code !== 'auth/email-already-in-use') throw e
+      await signInWithCredential(auth, credential)
+    }
+  } else {
+    await signInWithCredential(auth, credential)
+  }
+  window.localStorage.removeItem(EMAIL_STORAGE_KEY)
+
+  // The one-time code is spent; drop it so a refresh or a shared link doesn't carry it along.
+  const url = new URL(window.location.href)
+  for (const key of EMAIL_LINK_PARAMS) url.searchParams.delete(key)
+  window.history.replaceState(window.history.state, '', url)
+  return true
+}
+
+// The link's code can only be spent once, so every caller (both StrictMode runs of an
+// effect, VoterAccount and AdminPage alike) shares the first attempt.
+let emailSignIn = null
+
+/**
+ * Finish an email-link sign-in if the page was opened from one. An anonymous session is
+ * upgraded in place so its ballot stays attached to the same uid; if the address already
+ * belongs to an account, that account is signed in instead. Only the first call does the
+ * work; later ones get the same promise.
+ *
+ * @returns {Promise<boolean>} whether the page was opened from a sign-in link
+ */
+export function completeEmailSignIn() {
+  if (!emailSignIn) emailSignIn = finishEmailSignIn()
+  return emailSignIn
+}
@@ -0,0 +1,33 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+const firebaseAuth = vi.hoisted(() => ({
+  isSignInWithEmailLink: vi.fn(() => true),
+  signInWithCredential: vi.fn(async () => ({})),
+  linkWithCredential: vi.fn(),
+  EmailAuthProvider: { credentialWithLink: vi.fn(() => ({ kind: 'credential' })) },
+}))
+
+vi.mock('firebase/auth', () => firebaseAuth)
+vi.mock('./firebase.js', () => ({ auth: { currentUser: null, authStateReady: async () => {} } }))
+
+describe('completeEmailSignIn', () => {
+  beforeEach(() => {
+    vi.stubGlobal('window', {
+      location: { href: 'https://example.test/?mode=signIn&oobCode=abc&apiKey=k' },
+      localStorage: { getItem: () => 'voter@example.test', removeItem: vi.fn() },
+      history: { state: null, replaceState: vi.fn() },
+    })
+    // i18n.js picks its first locale from the browser's languages.
+    vi.stubGlobal('navigator', { languages: ['en-US'] })
+  })
+
+  it('spends the link once however many times it is called', async () => {
+    const { completeEmailSignIn } = await import('./auth.js')
+
+    const results = await Promise.all([completeEmailSignIn(), completeEmailSignIn()])
+
+    expect(results).toEqual([true, true])
+    expect(firebaseAuth.signInWithCredential).toHaveBeenCalledTimes(1)
+    expect(window.history.replaceState).toHaveBeenCalledWith(null, '', new URL('https://example.test/'))
+  })
+})
@@ -0,0 +1,8 @@
+// The dataset this site charts. Shown in the header and carried into every export.
+export const SOURCE_CITATION = {
+  title: 'Provisional drug overdose death counts for specific drugs',
+  publisher: 'Data.gov',
+  url: 'https://catalog.data.gov/dataset/provisional-drug-overdose-death-counts-for-specific-drugs',
+}
+
+export const SOURCE_CITATION_TEXT = `${SOURCE_CITATION.title} (${SOURCE_CITATION.publisher}), ${SOURCE_CITATION.url}`
@@ -0,0 +1,22 @@
+import { useSyncExternalStore } from 'react'
+
+// Whether the browser thinks it has a network connection. This can say "online" on a
+// network that doesn't actually reach Firestore, so the vote card combines it with whether
+// its listeners are still serving cached data.
+
+function subscribe(onChange) {
+  window.addEventListener('online', onChange)
+  window.addEventListener('offline', onChange)
+  return () => {
+    window.removeEventListener('online', onChange)
+    window.removeEventListener('offline', onChange)
+  }
+}
+
+const getSnapshot = () => navigator.onLine
+// Server rendering has no network to ask about; assume online so nothing flashes "offline".
+const getServerSnapshot = () => true
+
+export function useOnline() {
+  return useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot)
+}
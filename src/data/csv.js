@@ -0,0 +1,96 @@
+// Incremental CSV parser. Text can be fed in arbitrary chunks (e.g. straight off a fetch
+// stream), so no state may depend on looking past the end of the current chunk.
+
+/**
+ * @callback CsvRowHandler
+ * @param {string[]} fields
+ * @param {number} line 1-based line number the row started on
+ */
+
+/**
+ * @param {CsvRowHandler} onRow called once per non-blank row, in order
+ * @returns {{ write: (chunk: string) => void, end: () => void }}
+ */
+export function createCsvParser(onRow) {
+  let row = []
+  let field = ''
+  let inQuotes = false
+  // A quote seen inside a quoted field: either the first half of an escaped "" or the
+  // closing quote. Which one depends on the next character, which may be in the next chunk.
+  let quotePending = false
+  let atStart = true
+  let line = 1
+  let rowLine = 1
+
+  function endRow() {
+    row.push(field)
+    field = ''
+    // Blank lines (including the trailing ones many exports end with) aren't rows.
+    if (row.length > 1 || row[0] !== '') onRow(row, rowLine)
+    row = []
+  }
+
+  function write(chunk) {
+    let i = 0
+    if (atStart && chunk.length > 0) {
+      atStart = false
+      if (chunk.charCodeAt(0) === 0xfeff) i = 1
+    }
+
+    for (; i < chunk.length; i += 1) {
+      const c = chunk[i]
+
+      if (quotePending) {
+        quotePending = false
+        if (c === '"') {
+          field += '"'
+          continue
+        }
+        inQuotes = false
+      }
+
+      if (c === '"') {
+        if (inQuotes) quotePending = true
+        else inQuotes = true
+        continue
+      }
+
+      if (c === '\n') {
+        line += 1
+        if (!inQuotes) {
+          endRow()
+          rowLine = line
+          continue
+        }
+      }
+
+      if (c === ',' && !inQuotes) {
+        row.push(field)
+        field = ''
+        continue
+      }
+
+      // Ignore CR (Windows line endings)
+      if (c === '\r') continue
+
+      field += c
+    }
+  }
+
+  function end() {
+    quotePending = false
+    inQuotes = false
+    if (field.length > 0 || row.length > 0) endRow()
+  }
+
+  return { write, end }
+}
+
+/** Parse a whole CSV string into rows of fields. */
+export function parseCsv(text) {
+  const rows = []
+  const parser = createCsvParser((fields) => rows.push(fields))
+  parser.write(text)
+  parser.end()
+  return rows
+}
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest'
+import { createCsvParser, parseCsv } from './csv.js'
+
+// Feed `text` to a fresh parser in pieces of `size` characters; returns [fields, line] pairs.
+function parseInChunks(text, size) {
+  const rows = []
+  const parser = createCsvParser((fields, line) => rows.push([fields, line]))
+  for (let i = 0; i < text.length; i += size) parser.write(text.slice(i, i + size))
+  parser.end()
+  return rows
+}
+
+// Every chunk size from one character to the whole text has to give the same rows.
+function expectSameAtEveryChunkSize(text, expected) {
+  for (let size = 1; size <= text.length; size += 1) {
+    expect(parseInChunks(text, size), `chunks of ${size}`).toEqual(expected)
+  }
+}
+
+describe('createCsvParser', () => {
+  it('splits rows and fields', () => {
+    expectSameAtEveryChunkSize('a,b,c\n1,2,3\n', [
+      [['a', 'b', 'c'], 1],
+      [['1', '2', '3'], 2],
+    ])
+  })
+
+  it('keeps commas and newlines inside quoted fields', () => {
+    expectSameAtEveryChunkSize('name,value\n"Smith, J","line one\nline two"\nnext,1\n', [
+      [['name', 'value'], 1],
+      [['Smith, J', 'line one\nline two'], 2],
+      [['next', '1'], 4],
+    ])
+  })
+
+  it('unescapes doubled quotes, including one split across chunks', () => {
+    expectSameAtEveryChunkSize('a\n"say ""hi"""\n""""\n', [
+      [['a'], 1],
+      [['say "hi"'], 2],
+      [['"'], 3],
+    ])
+  })
+
+  it('reads CRLF line endings', () => {
+    expectSameAtEveryChunkSize('a,b\r\n1,2\r\n"x\r\ny",3\r\n', [
+      [['a', 'b'], 1],
+      [['1', '2'], 2],
+      [['x\ny', '3'], 3],
+    ])
+  })
+
+  it('drops a leading byte-order mark', () => {
+    expectSameAtEveryChunkSize('\uFEFFYear,Month\n2024,May\n', [
+      [['Year', 'Month'], 1],
+      [['2024', 'May'], 2],
+    ])
+  })
+
+  it('skips blank and trailing empty lines but counts them in line numbers', () => {
+    expectSameAtEveryChunkSize('a\n\n1\n\n\n', [
+      [['a'], 1],
+      [['1'], 3],
+    ])
+  })
+
+  it('keeps rows of empty fields', () => {
+    expect(parseCsv(',\n,,\n')).toEqual([
+      ['', ''],
+      ['', '', ''],
+    ])
+  })
+
+  it('ends the last row without a trailing newline', () => {
+    expectSameAtEveryChunkSize('a,b\n1,"2"', [
+      [['a', 'b'], 1],
+      [['1', '2'], 2],
+    ])
+  })
+})
@@ -0,0 +1,42 @@
+import { MissingColumnsError } from './overdoseData.js'
+import { readOverdoseDataset } from './readOverdoseDataset.js'
+
+/**
+ * Same as readOverdoseDataset, but does the work in a Web Worker when the browser has them.
+ * Aborting the signal terminates the worker.
+ *
+ * @param {import('./sources.js').DatasetSource} source
+ * @param {{ columnMap?: Record<string, string>, signal?: AbortSignal }} [options]
+ * @returns {Promise<import('./overdoseData.js').OverdoseDataset>}
+ */
+export function loadOverdoseDataset(source, { columnMap, signal } = {}) {
+  if (typeof Worker === 'undefined') return readOverdoseDataset(source, { columnMap, signal })
+
+  // Workers resolve relative URLs against their own script, so pass an absolute one.
+  const workerSource = source.kind === 'url' ? { ...source, url: new URL(source.url, window.location.href).href } : source
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./overdoseData.worker.js', import.meta.url), { type: 'module' })
+
+    const onAbort = () => {
+      worker.terminate()
+      reject(new DOMException('Loading was aborted.', 'AbortError'))
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    worker.onmessage = (e) => {
+      signal?.removeEventListener('abort', onAbort)
+      worker.terminate()
+      if (e.data.ok) resolve(e.data.dataset)
+      else if (e.data.missing) reject(new MissingColumnsError(e.data.format, e.data.missing, e.data.headers))
+      else reject(new Error(e.data.message))
+    }
+    worker.onerror = (e) => {
+      signal?.removeEventListener('abort', onAbort)
+      worker.terminate()
+      reject(new Error(e.message || 'The data worker failed to start.'))
+    }
+
+    worker.postMessage({ source: workerSource, columnMap })
+  })
+}
@@ -0,0 +1,111 @@
+import { populationFor } from './population.js'
+
+/**
+ * Derived views of a monthly series. Each metric maps the full, sorted MonthlyRow list to rows
+ * with the same shape but `total` replaced by the derived value; months without enough
+ * history for the metric are dropped. Apply metrics before narrowing to a date range so
+ * rolling windows can reach back past the first visible month.
+ *
+ * `label` and `axisTitle` are the English text; the UI shows `metric.<id>.label` and
+ * `metric.<id>.axisTitle` from the locale catalogs.
+ */
+export const METRICS = [
+  { id: 'count', label: 'Raw count', axisTitle: 'Total overdose deaths', unit: 'count' },
+  { id: 'rolling12', label: '12-month rolling sum', axisTitle: 'Deaths, trailing 12 months', unit: 'count' },
+  { id: 'avg3', label: '3-month moving average', axisTitle: 'Deaths, 3-month average', unit: 'count' },
+  { id: 'yoy', label: 'Year-over-year change', axisTitle: 'Change vs. same month last year (%)', unit: 'percent' },
+  { id: 'per100k', label: 'Deaths per 100k', axisTitle: 'Deaths per 100,000 residents', unit: 'rate' },
+]
+
+export const DEFAULT_METRIC = 'count'
+
+export function getMetric(id) {
+  return METRICS.find((m) => m.id === id) ?? METRICS[0]
+}
+
+function shiftMonthKey(monthKey, months) {
+  const [y, m] = monthKey.split('-').map(Number)
+  const index = y * 12 + (m - 1) + months
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`
+}
+
+// Trailing window over consecutive calendar months; null if any month in it is missing.
+function trailingWindow(byMonth, monthKey, size) {
+  const span = []
+  for (let i = size - 1; i >= 0; i -= 1) {
+    const row = byMonth.get(shiftMonthKey(monthKey, -i))
+    if (!row) return null
+    span.push(row)
+  }
+  return span
+}
+
+// Bounds don't carry over: the interval of a sum or ratio isn't the sum or ratio of intervals.
+// Nor does the raw month's prediction, which would be charted against the derived value.
+function withValue(row, total, sources) {
+  return {
+    ...row,
+    total,
+    // A derived value is only as firm as its least-firm input.
+    isEstimate: sources.some((r) => r.isEstimate),
+    predicted: null,
+    lower: null,
+    upper: null,
+  }
+}
+
+/**
+ * @param {import('./overdoseData.js').MonthlyRow[]} rows sorted by month
+ * @param {string} metricId
+ * @param {{ state?: string }} [context] state code, needed for per-capita rates
+ * @returns {import('./overdoseData.js').MonthlyRow[]}
+ */
+export function applyMetric(rows, metricId, { state } = {}) {
+  if (metricId === 'count') return rows
+
+  const byMonth = new Map(rows.map((r) => [r.monthKey, r]))
+
+  return rows.flatMap((row) => {
+    switch (metricId) {
+      case 'rolling12':
+      case 'avg3': {
+        const size = metricId === 'rolling12' ? 12 : 3
+        const span = trailingWindow(byMonth, row.monthKey, size)
+        if (!span) return []
+        const sum = span.reduce((s, r) => s + r.total, 0)
+        return [withValue(row, metricId === 'avg3' ? sum / size : sum, span)]
+      }
+      case 'yoy': {
+        const prior = byMonth.get(shiftMonthKey(row.monthKey, -12))
+        if (!prior || prior.total === 0) return []
+        return [withValue(row, ((row.total - prior.total) / prior.total) * 100, [row, prior])]
+      }
+      case 'per100k': {
+        const population = populationFor(state, row.year)
+        if (!population) return []
+        const scale = 100000 / population
+        return [
+          {
+            ...row,
+            total: row.total * scale,
+            predicted: row.predicted !== null ? row.predicted * scale : null,
+            lower: row.lower !== null ? row.lower * scale : null,
+            upper: row.upper !== null ? row.upper * scale : null,
+          },
+        ]
+      }
+      default:
+        return [row]
+    }
+  })
+}
+
+/** A formatter (anything with `format(n)`) suited to the metric's unit. */
+export function metricFormatter(metricId, locale) {
+  const { unit } = getMetric(metricId)
+  if (unit === 'percent') {
+    const nf = new Intl.NumberFormat(locale, { maximumFractionDigits: 1, signDisplay: 'exceptZero' })
+    return { format: (n) => `${nf.format(n)}%` }
+  }
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 2 })
+}
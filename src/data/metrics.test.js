@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest'
+import { applyMetric } from './metrics.js'
+import { ALL_STATES } from './overdoseData.js'
+import { POPULATION } from './population.js'
+
+function row(monthKey, total, extra = {}) {
+  const [year, monthNum] = monthKey.split('-').map(Number)
+  return {
+    monthKey,
+    year,
+    monthNum,
+    total,
+    reported: total,
+    predicted: null,
+    isEstimate: false,
+    lower: null,
+    upper: null,
+    ...extra,
+  }
+}
+
+// Consecutive months from `first`, one per total.
+function months(first, totals) {
+  const [y, m] = first.split('-').map(Number)
+  return totals.map((total, i) => {
+    const index = y * 12 + (m - 1) + i
+    return row(`${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`, total)
+  })
+}
+
+const values = (rows) => rows.map((r) => [r.monthKey, r.total])
+
+describe('applyMetric', () => {
+  it('returns the rows unchanged for the raw count', () => {
+    const rows = months('2024-01', [1, 2, 3])
+
+    expect(applyMetric(rows, 'count')).toBe(rows)
+  })
+
+  describe('rolling12', () => {
+    it('drops the first 11 months, which have no full year behind them', () => {
+      const rows = months('2023-01', [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14])
+
+      expect(values(applyMetric(rows, 'rolling12'))).toEqual([
+        ['2023-12', 78],
+        ['2024-01', 90],
+        ['2024-02', 102],
+      ])
+    })
+
+    it('drops months whose year has a gap in it', () => {
+      const rows = months('2023-01', Array(14).fill(10)).filter((r) => r.monthKey !== '2023-06')
+
+      expect(applyMetric(rows, 'rolling12')).toEqual([])
+    })
+  })
+
+  describe('avg3', () => {
+    it.each([
+      ['consecutive months', ['2024-01', '2024-02', '2024-03', '2024-04'], { '2024-03': 20, '2024-04': 30 }],
+      ['a gap', ['2024-01', '2024-02', '2024-03', '2024-05', '2024-06', '2024-07'], { '2024-03': 20, '2024-07': 60 }],
+      ['a gap across the new year', ['2023-11', '2023-12', '2024-02', '2024-03', '2024-04'], { '2024-04': 30 }],
+    ])('averages only full windows with %s', (_name, keys, expected) => {
+      // Each month's value is ten times its month number.
+      const rows = keys.map((key) => row(key, Number(key.slice(5)) * 10))
+
+      expect(Object.fromEntries(values(applyMetric(rows, 'avg3')))).toEqual(expected)
+    })
+
+    it('marks an average with an estimated month as an estimate and drops the bounds', () => {
+      const rows = [
+        row('2024-01', 10),
+        row('2024-02', 20),
+        row('2024-03', 30, { isEstimate: true, lower: 25, upper: 35 }),
+      ]
+
+      expect(applyMetric(rows, 'avg3')).toMatchObject([
+        { monthKey: '2024-03', total: 20, isEstimate: true, lower: null, upper: null },
+      ])
+    })
+
+    it("drops the month's own prediction, which isn't an average", () => {
+      const rows = [row('2024-01', 10), row('2024-02', 20), row('2024-03', 30, { predicted: 33 })]
+
+      expect(applyMetric(rows, 'avg3')[0].predicted).toBeNull()
+    })
+  })
+
+  describe('yoy', () => {
+    it('compares each month with the same month a year earlier', () => {
+      const rows = [row('2023-03', 200), row('2024-02', 50), row('2024-03', 150)]
+
+      expect(values(applyMetric(rows, 'yoy'))).toEqual([['2024-03', -25]])
+    })
+
+    it.each([
+      ['is 0', [row('2023-03', 0), row('2024-03', 150)]],
+      ['is missing', [row('2023-02', 100), row('2024-03', 150)]],
+    ])('drops a month when the earlier value %s', (_name, rows) => {
+      expect(applyMetric(rows, 'yoy')).toEqual([])
+    })
+  })
+
+  describe('per100k', () => {
+    it('divides by the population for the year and scales the prediction and bounds with it', () => {
+      const population = POPULATION.US[2020]
+      const rows = [
+        row('2020-06', population / 1000, {
+          predicted: population / 800,
+          lower: population / 2000,
+          upper: population / 500,
+        }),
+      ]
+
+      const [rate] = applyMetric(rows, 'per100k', { state: 'US' })
+
+      expect(rate.total).toBeCloseTo(100)
+      expect(rate.predicted).toBeCloseTo(125)
+      expect(rate.lower).toBeCloseTo(50)
+      expect(rate.upper).toBeCloseTo(200)
+    })
+
+    it.each([
+      ['all states', ALL_STATES],
+      ['a state with no population', 'ZZ'],
+      ['no state', undefined],
+    ])('drops every month for %s', (_name, state) => {
+      expect(applyMetric(months('2024-01', [10, 20]), 'per100k', { state })).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,345 @@
+import { MONTHS, MONTH_TO_NUM } from '../months.js'
+
+// Rows without a State column (older exports) are grouped under this key.
+export const ALL_STATES = ''
+
+// The fields the aggregator reads, with the header names it recognizes for each. Headers are
+// compared ignoring case, spaces and punctuation, so `Data Value` also matches Socrata's
+// `data_value`. The lower/upper bounds hold the predicted value's uncertainty interval; the
+// CDC export this app was built on doesn't carry one, but some of its variants do.
+export const COLUMN_FIELDS = [
+  { key: 'year', label: 'Year', required: true, aliases: ['Year'] },
+  { key: 'month', label: 'Month', required: true, aliases: ['Month'] },
+  { key: 'indicator', label: 'Indicator', required: true, aliases: ['Indicator'] },
+  { key: 'dataValue', label: 'Data Value', required: true, aliases: ['Data Value'] },
+  { key: 'predicted', label: 'Predicted Value', required: false, aliases: ['Predicted Value'] },
+  { key: 'state', label: 'State', required: false, aliases: ['State'] },
+  { key: 'stateName', label: 'State Name', required: false, aliases: ['State Name'] },
+  { key: 'percentComplete', label: 'Percent Complete', required: false, aliases: ['Percent Complete'] },
+  {
+    key: 'percentPending',
+    label: 'Percent Pending Investigation',
+    required: false,
+    aliases: ['Percent Pending Investigation'],
+  },
+  {
+    key: 'lower',
+    label: 'Lower Bound',
+    required: false,
+    aliases: ['Predicted Value Lower Bound', 'Lower Bound', 'Lower 95% CI'],
+  },
+  {
+    key: 'upper',
+    label: 'Upper Bound',
+    required: false,
+    aliases: ['Predicted Value Upper Bound', 'Upper Bound', 'Upper 95% CI'],
+  },
+]
+
+export class MissingColumnsError extends Error {
+  /**
+   * @param {string} format e.g. "CSV" or "JSON", used in the message (the UI words its own,
+   *   see `data.missingColumns`)
+   * @param {string[]} missing labels of the required fields that couldn't be matched
+   * @param {string[]} headers every header the source has
+   */
+  constructor(format, missing, headers) {
+    super(`${format} missing required columns: ${missing.join(', ')}. Found headers: ${headers.join(', ')}`)
+    this.name = 'MissingColumnsError'
+    this.format = format
+    this.missing = missing
+    this.headers = headers
+  }
+}
+
+const normalizeHeader = (h) => String(h).toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * Work out which header feeds each field. An explicit `columnMap` entry (field key -> header
+ * name) wins; an empty string there means "don't use this field". Everything else is matched
+ * by alias.
+ *
+ * @param {string[]} headers
+ * @param {Record<string, string>} [columnMap]
+ * @returns {{ indexes: Record<string, number | undefined>, missing: string[] }}
+ */
+export function resolveColumns(headers, columnMap = {}) {
+  const byNormalized = new Map()
+  headers.forEach((h, idx) => {
+    const key = normalizeHeader(h)
+    if (!byNormalized.has(key)) byNormalized.set(key, idx)
+  })
+
+  const indexes = {}
+  const missing = []
+  for (const field of COLUMN_FIELDS) {
+    const mapped = columnMap[field.key]
+    let idx
+    if (mapped !== undefined) {
+      idx = mapped === '' ? undefined : headers.indexOf(mapped)
+      if (idx === -1) idx = undefined
+    } else {
+      idx = field.aliases.map((a) => byNormalized.get(normalizeHeader(a))).find((i) => i !== undefined)
+    }
+    indexes[field.key] = idx
+    if (field.required && idx === undefined) missing.push(field.label)
+  }
+  return { indexes, missing }
+}
+
+// Only the first few issues are kept verbatim; the rest are just counted.
+const MAX_ISSUES = 50
+
+/**
+ * @typedef {'ragged-row' | 'missing-indicator' | 'bad-year' | 'bad-month' | 'bad-value' | 'missing-value'} IssueKind
+ *
+ * @typedef {Object} RowIssue
+ * @property {number} line 1-based line in the source file
+ * @property {IssueKind} kind
+ * @property {Record<string, string | number>} params what the UI needs to describe it: the
+ *   offending `value` (and the `field` it was read for), or the `expected` and `found` field
+ *   counts of a ragged row
+ *
+ * @typedef {Object} Diagnostics
+ * @property {number} rowCount data rows read (header excluded)
+ * @property {number} skippedCount rows that contributed nothing to the totals
+ * @property {Partial<Record<IssueKind, number>>} issueCounts
+ * @property {RowIssue[]} issues the first MAX_ISSUES problems, in file order
+ *
+ * @typedef {Object} MonthEntry
+ * @property {number | null} reported sum of `Data Value`, null when no row reported one
+ * @property {number | null} predicted sum of `Predicted Value`
+ * @property {number | null} lower
+ * @property {number | null} upper
+ * @property {number} percentCompleteSum
+ * @property {number} percentCount
+ * @property {number} percentPendingSum
+ * @property {number} pendingCount
+ * @property {number} count rows folded into this entry
+ *
+ * @typedef {Object} OverdoseDataset
+ * @property {string[]} headers the source's header row, for the column-mapping step
+ * @property {Record<string, number | undefined>} columns header index used for each field
+ * @property {string[]} indicators sorted
+ * @property {{ code: string, name: string }[]} states sorted by name
+ * @property {Record<string, Record<string, Record<string, MonthEntry>>>} months months[state][indicator][monthKey]
+ * @property {Diagnostics} diagnostics
+ *
+ * @typedef {Object} MonthlyRow
+ * @property {string} monthKey YYYY-MM
+ * @property {number} year
+ * @property {number} monthNum
+ * @property {string} monthName
+ * @property {number} total reported value, or the predicted one for estimated months
+ * @property {number | null} reported
+ * @property {number | null} predicted
+ * @property {boolean} isEstimate
+ * @property {number | null} lower
+ * @property {number | null} upper
+ * @property {number | null} percentComplete
+ * @property {number | null} percentPending
+ * @property {number} count
+ */
+
+function parseOptionalNumber(raw) {
+  if (raw === undefined || raw === '') return null
+  const n = Number(String(raw).replace(/,/g, ''))
+  return Number.isFinite(n) ? n : null
+}
+
+function addToSum(current, value) {
+  return value === null ? current : (current ?? 0) + value
+}
+
+/**
+ * Folds tabular rows (header first) into per-state, per-indicator monthly entries.
+ * Throws on a missing or unusable header; every other problem is recorded as a diagnostic.
+ *
+ * @param {{ columnMap?: Record<string, string>, format?: string }} [options]
+ */
+export function createOverdoseAggregator({ columnMap, format = 'CSV' } = {}) {
+  let header = null
+  let cols = null
+
+  // Nested as months[state][indicator][monthKey] so the national row and each
+  // jurisdiction's rows are never summed into the same bucket.
+  const months = Object.create(null)
+  const indicatorSet = new Set()
+  const stateNames = new Map()
+
+  /** @type {Diagnostics} */
+  const diagnostics = { rowCount: 0, skippedCount: 0, issueCounts: {}, issues: [] }
+
+  function report(line, kind, params = {}) {
+    diagnostics.issueCounts[kind] = (diagnostics.issueCounts[kind] ?? 0) + 1
+    if (diagnostics.issues.length < MAX_ISSUES) diagnostics.issues.push({ line, kind, params })
+  }
+
+  function readHeader(row) {
+    if (row.length === 0 || row.every((v) => v === '')) {
+      throw new Error(`${format} appears to be empty (missing header row).`)
+    }
+
+    const { indexes, missing } = resolveColumns(row, columnMap)
+    if (missing.length > 0) throw new MissingColumnsError(format, missing, row)
+
+    header = row
+    cols = indexes
+  }
+
+  function readNumber(row, idx, line, name) {
+    if (idx === undefined || row[idx] === '') return null
+    const n = parseOptionalNumber(row[idx])
+    if (n === null) report(line, 'bad-value', { field: name, value: row[idx] })
+    return n
+  }
+
+  /**
+   * @param {string[]} fields
+   * @param {number} line
+   */
+  function addRow(fields, line) {
+    if (!header) {
+      readHeader(fields)
+      return
+    }
+
+    diagnostics.rowCount += 1
+
+    if (fields.length !== header.length) {
+      report(line, 'ragged-row', { expected: header.length, found: fields.length })
+    }
+    // Normalize to header length so missing trailing fields don't shift indices.
+    const row = fields.slice(0, header.length)
+    while (row.length < header.length) row.push('')
+
+    const indicator = row[cols.indicator] || ''
+    const year = Number(row[cols.year])
+    const monthName = row[cols.month] || ''
+    const monthNum = MONTH_TO_NUM.get(monthName)
+
+    let valid = true
+    if (!indicator) {
+      report(line, 'missing-indicator')
+      valid = false
+    }
+    if (row[cols.year] === '' || !Number.isInteger(year)) {
+      report(line, 'bad-year', { value: row[cols.year] })
+      valid = false
+    }
+    if (!monthNum) {
+      report(line, 'bad-month', { value: monthName })
+      valid = false
+    }
+
+    // Reported and predicted values are kept apart; the predicted one is provisional
+    // model output and must never be added into a reported count.
+    const reported = readNumber(row, cols.dataValue, line, 'Data Value')
+    const predicted = readNumber(row, cols.predicted, line, 'Predicted Value')
+
+    if (!valid) {
+      diagnostics.skippedCount += 1
+      return
+    }
+    if (reported === null && predicted === null) {
+      // Suppressed counts are blank in the CDC export, so this is expected for some rows.
+      if (row[cols.dataValue] === '' && (cols.predicted === undefined || row[cols.predicted] === '')) {
+        report(line, 'missing-value')
+      }
+      diagnostics.skippedCount += 1
+      return
+    }
+
+    const monthKey = `${year}-${String(monthNum).padStart(2, '0')}`
+    const state = cols.state !== undefined ? row[cols.state] || ALL_STATES : ALL_STATES
+    if (!stateNames.has(state)) {
+      const name = cols.stateName !== undefined ? row[cols.stateName] : ''
+      stateNames.set(state, name || (state === ALL_STATES ? 'All jurisdictions' : state))
+    }
+
+    indicatorSet.add(indicator)
+    if (!months[state]) months[state] = Object.create(null)
+    if (!months[state][indicator]) months[state][indicator] = Object.create(null)
+
+    const byMonth = months[state][indicator]
+    if (!byMonth[monthKey]) {
+      byMonth[monthKey] = {
+        reported: null,
+        predicted: null,
+        lower: null,
+        upper: null,
+        percentCompleteSum: 0,
+        percentCount: 0,
+        percentPendingSum: 0,
+        pendingCount: 0,
+        count: 0,
+      }
+    }
+    const entry = byMonth[monthKey]
+
+    entry.reported = addToSum(entry.reported, reported)
+    entry.predicted = addToSum(entry.predicted, predicted)
+    if (cols.lower !== undefined) entry.lower = addToSum(entry.lower, parseOptionalNumber(row[cols.lower]))
+    if (cols.upper !== undefined) entry.upper = addToSum(entry.upper, parseOptionalNumber(row[cols.upper]))
+
+    const percentComplete = cols.percentComplete !== undefined ? parseOptionalNumber(row[cols.percentComplete]) : null
+    if (percentComplete !== null) {
+      entry.percentCompleteSum += percentComplete
+      entry.percentCount += 1
+    }
+    const percentPending = cols.percentPending !== undefined ? parseOptionalNumber(row[cols.percentPending]) : null
+    if (percentPending !== null) {
+      entry.percentPendingSum += percentPending
+      entry.pendingCount += 1
+    }
+    entry.count += 1
+  }
+
+  /** @returns {OverdoseDataset} */
+  function finish() {
+    if (!header) throw new Error(`${format} appears to be empty (missing header row).`)
+
+    return {
+      headers: header,
+      columns: cols,
+      indicators: Array.from(indicatorSet).sort((a, b) => a.localeCompare(b)),
+      states: Array.from(stateNames, ([code, name]) => ({ code, name })).sort((a, b) => a.name.localeCompare(b.name)),
+      months,
+      diagnostics,
+    }
+  }
+
+  return { addRow, finish }
+}
+
+/**
+ * @param {Record<string, MonthEntry>} [entries]
+ * @returns {MonthlyRow[]} sorted by month
+ */
+export function buildMonthlyRows(entries = {}) {
+  return Object.entries(entries)
+    .map(([monthKey, e]) => {
+      const [y, mm] = monthKey.split('-')
+      const monthNum = Number(mm)
+      const year = Number(y)
+      // Reported counts win; a month with only a model prediction is shown as an estimate.
+      // `predicted` is kept either way, so the chart can show it beside the reported count.
+      const isEstimate = e.reported === null
+      return {
+        monthKey,
+        year,
+        monthNum,
+        monthName: MONTHS[monthNum - 1] ?? mm,
+        total: isEstimate ? e.predicted : e.reported,
+        reported: e.reported,
+        predicted: e.predicted,
+        isEstimate,
+        lower: e.lower,
+        upper: e.upper,
+        percentComplete: e.percentCount > 0 ? e.percentCompleteSum / e.percentCount : null,
+        percentPending: e.pendingCount > 0 ? e.percentPendingSum / e.pendingCount : null,
+        count: e.count,
+      }
+    })
+    .sort((a, b) => a.monthKey.localeCompare(b.monthKey))
+}
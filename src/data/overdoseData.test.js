@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest'
+import { parseCsv } from './csv.js'
+import { MissingColumnsError, buildMonthlyRows, createOverdoseAggregator } from './overdoseData.js'
+
+const HEADER = 'State,Year,Month,Indicator,Data Value,Predicted Value,State Name'
+
+function aggregate(lines, options) {
+  const aggregator = createOverdoseAggregator(options)
+  parseCsv([HEADER, ...lines].join('\n')).forEach((row, i) => aggregator.addRow(row, i + 1))
+  return aggregator.finish()
+}
+
+describe('createOverdoseAggregator', () => {
+  it('sums rows into months per state and indicator', () => {
+    const dataset = aggregate([
+      'US,2024,January,Heroin,"1,000",,United States',
+      'US,2024,January,Heroin,5,,United States',
+      'NY,2024,February,Heroin,,30,New York',
+    ])
+
+    expect(dataset.indicators).toEqual(['Heroin'])
+    expect(dataset.states).toEqual([
+      { code: 'NY', name: 'New York' },
+      { code: 'US', name: 'United States' },
+    ])
+    expect(buildMonthlyRows(dataset.months.US.Heroin)).toMatchObject([
+      { monthKey: '2024-01', total: 1005, isEstimate: false, count: 2 },
+    ])
+    expect(buildMonthlyRows(dataset.months.NY.Heroin)).toMatchObject([
+      { monthKey: '2024-02', total: 30, isEstimate: true },
+    ])
+    expect(dataset.diagnostics).toEqual({ rowCount: 3, skippedCount: 0, issueCounts: {}, issues: [] })
+  })
+
+  it.each([
+    ['ragged-row', 'US,2024,January,Heroin,5', false, { expected: 7, found: 5 }],
+    ['missing-indicator', 'US,2024,January,,5,,United States', true, {}],
+    ['bad-year', 'US,20x4,January,Heroin,5,,United States', true, { value: '20x4' }],
+    ['bad-month', 'US,2024,Janvier,Heroin,5,,United States', true, { value: 'Janvier' }],
+    ['bad-value', 'US,2024,January,Heroin,n/a,,United States', true, { field: 'Data Value', value: 'n/a' }],
+    ['missing-value', 'US,2024,January,Heroin,,,United States', true, {}],
+  ])('reports %s', (kind, line, skipped, params) => {
+    const { diagnostics } = aggregate(['US,2024,March,Heroin,1,,United States', line])
+
+    expect(diagnostics.rowCount).toBe(2)
+    expect(diagnostics.skippedCount).toBe(skipped ? 1 : 0)
+    expect(diagnostics.issueCounts).toEqual({ [kind]: 1 })
+    expect(diagnostics.issues).toEqual([{ line: 3, kind, params }])
+  })
+
+  it('keeps the first 50 issues and counts the rest', () => {
+    const { diagnostics } = aggregate(Array.from({ length: 60 }, () => 'US,2024,Nope,Heroin,1,,United States'))
+
+    expect(diagnostics.issueCounts).toEqual({ 'bad-month': 60 })
+    expect(diagnostics.issues).toHaveLength(50)
+    expect(diagnostics.skippedCount).toBe(60)
+  })
+
+  it('throws MissingColumnsError naming the missing required columns', () => {
+    const aggregator = createOverdoseAggregator()
+    let error
+    try {
+      aggregator.addRow(['Year', 'Month', 'Value'], 1)
+    } catch (e) {
+      error = e
+    }
+
+    expect(error).toBeInstanceOf(MissingColumnsError)
+    expect(error.missing).toEqual(['Indicator', 'Data Value'])
+    expect(error.headers).toEqual(['Year', 'Month', 'Value'])
+  })
+
+  it('uses an explicit column map over header names', () => {
+    const aggregator = createOverdoseAggregator({ columnMap: { dataValue: 'Deaths' } })
+    aggregator.addRow(['Year', 'Month', 'Indicator', 'Deaths'], 1)
+    aggregator.addRow(['2024', 'May', 'Heroin', '7'], 2)
+
+    expect(buildMonthlyRows(aggregator.finish().months[''].Heroin)).toMatchObject([{ monthKey: '2024-05', total: 7 }])
+  })
+
+  it('refuses a source with no header row', () => {
+    expect(() => createOverdoseAggregator().finish()).toThrow(/missing header row/)
+  })
+})
@@ -0,0 +1,22 @@
+import { MissingColumnsError } from './overdoseData.js'
+import { readOverdoseDataset } from './readOverdoseDataset.js'
+
+self.onmessage = async (e) => {
+  try {
+    const dataset = await readOverdoseDataset(e.data.source, { columnMap: e.data.columnMap })
+    self.postMessage({ ok: true, dataset })
+  } catch (err) {
+    // Error subclasses don't survive postMessage, so send what's needed to rebuild them.
+    if (err instanceof MissingColumnsError) {
+      self.postMessage({
+        ok: false,
+        message: err.message,
+        format: err.format,
+        missing: err.missing,
+        headers: err.headers,
+      })
+      return
+    }
+    self.postMessage({ ok: false, message: err instanceof Error ? err.message : String(err) })
+  }
+}
@@ -0,0 +1,84 @@
+// Resident population by jurisdiction from the 2010 and 2020 decennial censuses (U.S. Census
+// Bureau). Keys are the two-letter codes used in the CDC overdose dataset's State column. In
+// that dataset NY is New York State *excluding* New York City, which is reported separately
+// as YC, so NY here is the state count minus the city's.
+//
+// Years between censuses are interpolated linearly; years outside 2010–2020 use the nearest
+// census. That keeps per-capita rates within a few percent of the Census Bureau's annual
+// estimates, which is fine for comparing jurisdictions but not for official statistics.
+
+export const POPULATION_SOURCE = 'U.S. Census Bureau, 2010 and 2020 decennial censuses'
+
+export const POPULATION = {
+  US: { 2010: 308745538, 2020: 331449281 },
+  AL: { 2010: 4779736, 2020: 5024279 },
+  AK: { 2010: 710231, 2020: 733391 },
+  AZ: { 2010: 6392017, 2020: 7151502 },
+  AR: { 2010: 2915918, 2020: 3011524 },
+  CA: { 2010: 37253956, 2020: 39538223 },
+  CO: { 2010: 5029196, 2020: 5773714 },
+  CT: { 2010: 3574097, 2020: 3605944 },
+  DE: { 2010: 897934, 2020: 989948 },
+  DC: { 2010: 601723, 2020: 689545 },
+  FL: { 2010: 18801310, 2020: 21538187 },
+  GA: { 2010: 9687653, 2020: 10711908 },
+  HI: { 2010: 1360301, 2020: 1455271 },
+  ID: { 2010: 1567582, 2020: 1839106 },
+  IL: { 2010: 12830632, 2020: 12812508 },
+  IN: { 2010: 6483802, 2020: 6785528 },
+  IA: { 2010: 3046355, 2020: 3190369 },
+  KS: { 2010: 2853118, 2020: 2937880 },
+  KY: { 2010: 4339367, 2020: 4505836 },
+  LA: { 2010: 4533372, 2020: 4657757 },
+  ME: { 2010: 1328361, 2020: 1362359 },
+  MD: { 2010: 5773552, 2020: 6177224 },
+  MA: { 2010: 6547629, 2020: 7029917 },
+  MI: { 2010: 9883640, 2020: 10077331 },
+  MN: { 2010: 5303925, 2020: 5706494 },
+  MS: { 2010: 2967297, 2020: 2961279 },
+  MO: { 2010: 5988927, 2020: 6154913 },
+  MT: { 2010: 989415, 2020: 1084225 },
+  NE: { 2010: 1826341, 2020: 1961504 },
+  NV: { 2010: 2700551, 2020: 3104614 },
+  NH: { 2010: 1316470, 2020: 1377529 },
+  NJ: { 2010: 8791894, 2020: 9288994 },
+  NM: { 2010: 2059179, 2020: 2117522 },
+  NY: { 2010: 11202969, 2020: 11397059 },
+  YC: { 2010: 8175133, 2020: 8804190 },
+  NC: { 2010: 9535483, 2020: 10439388 },
+  ND: { 2010: 672591, 2020: 779094 },
+  OH: { 2010: 11536504, 2020: 11799448 },
+  OK: { 2010: 3751351, 2020: 3959353 },
+  OR: { 2010: 3831074, 2020: 4237256 },
+  PA: { 2010: 12702379, 2020: 13002700 },
+  RI: { 2010: 1052567, 2020: 1097379 },
+  SC: { 2010: 4625364, 2020: 5118425 },
+  SD: { 2010: 814180, 2020: 886667 },
+  TN: { 2010: 6346105, 2020: 6910840 },
+  TX: { 2010: 25145561, 2020: 29145505 },
+  UT: { 2010: 2763885, 2020: 3271616 },
+  VT: { 2010: 625741, 2020: 643077 },
+  VA: { 2010: 8001024, 2020: 8631393 },
+  WA: { 2010: 6724540, 2020: 7705281 },
+  WV: { 2010: 1852994, 2020: 1793716 },
+  WI: { 2010: 5686986, 2020: 5893718 },
+  WY: { 2010: 563626, 2020: 576851 },
+}
+
+/** Population of `state` in `year`, or null when the table has no entry for it. */
+export function populationFor(state, year) {
+  const byYear = POPULATION[state]
+  if (!byYear) return null
+
+  const years = Object.keys(byYear)
+    .map(Number)
+    .sort((a, b) => a - b)
+  if (year <= years[0]) return byYear[years[0]]
+  if (year >= years[years.length - 1]) return byYear[years[years.length - 1]]
+
+  const hi = years.findIndex((y) => y >= year)
+  const y0 = years[hi - 1]
+  const y1 = years[hi]
+  const t = (year - y0) / (y1 - y0)
+  return Math.round(byYear[y0] + t * (byYear[y1] - byYear[y0]))
+}
@@ -0,0 +1,60 @@
+import { createCsvParser } from './csv.js'
+import { createOverdoseAggregator } from './overdoseData.js'
+import { socrataToRows } from './socrata.js'
+
+async function openStream(source, signal) {
+  if (source.kind === 'file') return source.file.stream()
+
+  const res = await fetch(source.url, { cache: 'no-store', signal })
+  if (!res.ok) {
+    throw new Error(`Failed to load ${source.format.toUpperCase()}: ${res.status} ${res.statusText}`)
+  }
+  return res.body ?? new Blob([await res.text()]).stream()
+}
+
+async function* readText(stream) {
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    yield decoder.decode(value, { stream: true })
+  }
+  yield decoder.decode()
+}
+
+/**
+ * Read a dataset source and aggregate it. CSV is parsed as it streams in, without holding
+ * the whole file (or a nested array of every row) in memory; JSON has to be read whole.
+ *
+ * @param {import('./sources.js').DatasetSource} source
+ * @param {{ columnMap?: Record<string, string>, signal?: AbortSignal }} [options]
+ * @returns {Promise<import('./overdoseData.js').OverdoseDataset>}
+ */
+export async function readOverdoseDataset(source, { columnMap, signal } = {}) {
+  const format = source.format === 'json' ? 'JSON' : 'CSV'
+  const aggregator = createOverdoseAggregator({ columnMap, format })
+  const stream = await openStream(source, signal)
+
+  if (source.format === 'json') {
+    let text = ''
+    for await (const chunk of readText(stream)) text += chunk
+    let json
+    try {
+      json = JSON.parse(text)
+    } catch (e) {
+      throw new Error(`JSON could not be parsed: ${e instanceof Error ? e.message : String(e)}`)
+    }
+    const { header, rows } = socrataToRows(json)
+    aggregator.addRow(header, 0)
+    // "Line" for JSON is the 1-based record number.
+    rows.forEach((row, i) => aggregator.addRow(row, i + 1))
+    return aggregator.finish()
+  }
+
+  const parser = createCsvParser(aggregator.addRow)
+  for await (const chunk of readText(stream)) parser.write(chunk)
+  parser.end()
+
+  return aggregator.finish()
+}
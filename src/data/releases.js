@@ -0,0 +1,24 @@
+/**
+ * Dates the overdose dataset was updated, for lining other timelines up against. The list is
+ * kept in `public/data/releases.json` as `{ "releases": [{ "date": "YYYY-MM-DD", "label" }] }`
+ * so it can be updated without a rebuild. Campaign staff add an entry by hand each time the CDC
+ * publishes a VSRR update; `npm run refresh:data` leaves it alone.
+ */
+export const RELEASES_URL = '/data/releases.json'
+
+const DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/
+
+/**
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ date: string, label: string }[]>} sorted by date; empty if the file is missing
+ */
+export async function loadDataReleases({ signal } = {}) {
+  const res = await fetch(RELEASES_URL, { signal })
+  if (!res.ok) return []
+  const json = await res.json()
+  const releases = Array.isArray(json?.releases) ? json.releases : []
+  return releases
+    .filter((r) => DATE.test(r?.date ?? ''))
+    .map((r) => ({ date: r.date, label: String(r.label ?? 'Data release') }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
@@ -0,0 +1,67 @@
+import { buildMonthlyRows } from './overdoseData.js'
+
+/**
+ * Dated copies of the overdose dataset, written by `npm run refresh:data`
+ * (scripts/refreshData.js). Each refresh that finds new data saves the download as
+ * `public/data/snapshots/overdoseRates-YYYY-MM-DD.csv`, copies it over the bundled
+ * `overdoseRates.csv`, and lists it in `public/data/manifest.json`:
+ *
+ *   { "snapshots": [{ "date", "file", "source", "fetchedAt", "sha256", "bytes", "rows", "latestMonth" }] }
+ *
+ * newest first, so the first entry describes the bundled file.
+ */
+export const MANIFEST_URL = '/data/manifest.json'
+export const SNAPSHOT_DIR = '/data/snapshots'
+
+const DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/
+
+/** Where the snapshot taken on `date` (YYYY-MM-DD) is served from. */
+export function snapshotPath(date) {
+  return `${SNAPSHOT_DIR}/overdoseRates-${date}.csv`
+}
+
+/**
+ * @typedef {object} Snapshot
+ * @property {string} date YYYY-MM-DD, the day it was fetched
+ * @property {string} file URL path of the CSV
+ * @property {string} source where it was downloaded from
+ * @property {string} fetchedAt ISO timestamp
+ * @property {string} sha256 of the file's bytes
+ * @property {number} bytes
+ * @property {number} rows data rows, header excluded
+ * @property {string | null} latestMonth YYYY-MM of the newest month with data
+ */
+
+/**
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Snapshot[]>} newest first; empty if there is no manifest
+ */
+export async function loadSnapshots({ signal } = {}) {
+  const res = await fetch(MANIFEST_URL, { cache: 'no-store', signal })
+  if (!res.ok) return []
+  const json = await res.json()
+  const snapshots = Array.isArray(json?.snapshots) ? json.snapshots : []
+  return snapshots
+    .filter((s) => DATE.test(s?.date ?? '') && typeof s.file === 'string')
+    .sort((a, b) => b.date.localeCompare(a.date))
+}
+
+/**
+ * What changed for one series between two snapshots: months that are new, and months whose
+ * value (or reported/estimated status) was revised.
+ *
+ * @param {Record<string, import('./overdoseData.js').MonthEntry>} [current]
+ * @param {Record<string, import('./overdoseData.js').MonthEntry>} [previous]
+ * @returns {{ added: number, revised: number }}
+ */
+export function compareSnapshotMonths(current, previous) {
+  const before = new Map(buildMonthlyRows(previous).map((r) => [r.monthKey, r]))
+  let added = 0
+  let revised = 0
+  for (const row of buildMonthlyRows(current)) {
+    const old = before.get(row.monthKey)
+    if (!old) added += 1
+    else if (old.total !== row.total || old.isEstimate !== row.isEstimate) revised += 1
+  }
+  return { added, revised }
+}
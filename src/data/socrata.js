@@ -0,0 +1,42 @@
+// Socrata (data.cdc.gov / data.gov) JSON comes in two shapes:
+//
+//   - the resource API: an array of objects keyed by field name (`data_value`, ...)
+//   - the rows.json export: { meta: { view: { columns: [{ name }] } }, data: [[...], ...] }
+//
+// Both are flattened to a header row plus string rows, the same thing the CSV parser yields.
+
+function toField(v) {
+  if (v === null || v === undefined) return ''
+  return typeof v === 'object' ? JSON.stringify(v) : String(v)
+}
+
+/**
+ * @param {unknown} json
+ * @returns {{ header: string[], rows: string[][] }}
+ */
+export function socrataToRows(json) {
+  if (Array.isArray(json)) {
+    const header = []
+    const seen = new Set()
+    for (const record of json) {
+      if (!record || typeof record !== 'object') continue
+      for (const key of Object.keys(record)) {
+        if (!seen.has(key)) {
+          seen.add(key)
+          header.push(key)
+        }
+      }
+    }
+    const rows = json.map((record) => header.map((key) => toField(record?.[key])))
+    return { header, rows }
+  }
+
+  const columns = json?.meta?.view?.columns
+  if (Array.isArray(columns) && Array.isArray(json.data)) {
+    const header = columns.map((c) => String(c.name ?? c.fieldName ?? ''))
+    const rows = json.data.map((r) => (Array.isArray(r) ? r.map(toField) : []))
+    return { header, rows }
+  }
+
+  throw new Error('JSON is not a recognized Socrata export (expected an array of records or { meta, data }).')
+}
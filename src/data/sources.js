@@ -0,0 +1,25 @@
+/**
+ * Where a dataset's rows come from and in what format. Sources are plain objects so they can
+ * be posted to the data worker as-is (a File survives structured clone). `format: 'json'`
+ * covers Socrata exports (see socrata.js).
+ *
+ * @typedef {{ kind: 'url', url: string, format: 'csv' | 'json', label: string }
+ *   | { kind: 'file', file: File, format: 'csv' | 'json', label: string }} DatasetSource
+ */
+
+/** @type {DatasetSource} */
+export const BUNDLED_SOURCE = {
+  kind: 'url',
+  url: '/data/overdoseRates.csv',
+  format: 'csv',
+  label: 'Bundled CDC dataset',
+}
+
+export function formatFromName(name, mimeType = '') {
+  if (/\.json$/i.test(name) || mimeType.includes('json')) return 'json'
+  return 'csv'
+}
+
+export function fileSource(file) {
+  return { kind: 'file', file, format: formatFromName(file.name, file.type), label: file.name }
+}
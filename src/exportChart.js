@@ -0,0 +1,267 @@
+import { SOURCE_CITATION, SOURCE_CITATION_TEXT } from './citation.js'
+
+// Presentation properties copied from the live chart onto the exported copy. Resolving them
+// through getComputedStyle means the theme's custom properties and color-mix() calls from
+// App.css end up as plain values the SVG can carry on its own.
+const INLINED_PROPERTIES = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-dasharray',
+  'stroke-opacity',
+  'opacity',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'paint-order',
+]
+
+// Interaction layers that mean nothing in a static image.
+const INTERACTIVE_SELECTORS = ['.chartOverlay', '.chartCrosshair', '.chartBrush']
+
+const HEADER_PX = 44
+const FOOTER_PX = 28
+const LEGEND_ROW_PX = 20
+
+// Accents are dropped rather than the whole letter, so "Variación" becomes "variacion".
+function slug(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+/**
+ * @param {{ indicator: string, stateName?: string, metricLabel?: string, range?: { start: string, end: string } | null }} view
+ * @param {string} extension
+ */
+export function exportFileName({ indicator, stateName, metricLabel, range }, extension) {
+  const parts = ['overdose', slug(indicator)]
+  if (stateName) parts.push(slug(stateName))
+  if (metricLabel) parts.push(slug(metricLabel))
+  if (range) parts.push(`${range.start}_to_${range.end}`)
+  return `${parts.filter(Boolean).join('-')}.${extension}`
+}
+
+function describeView({ indicator, stateName, metricLabel }) {
+  return [indicator, stateName, metricLabel].filter(Boolean).join(' · ')
+}
+
+export function download(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = fileName
+  document.body.append(a)
+  a.click()
+  a.remove()
+  // Give the browser a moment to start the download before the URL goes away.
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export function csvField(value) {
+  if (value === null || value === undefined) return ''
+  const s = String(value)
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+// Chart series rows carry `monthKey`, or `key` for other x axes.
+const rowKey = (r) => r.monthKey ?? r.key
+
+/**
+ * The chart's series as CSV: one row per month on the chart, with each series' value (in the
+ * selected metric's units) and whether it is an estimate, after `#` comment lines naming the
+ * view, the metric and the source. Months a series doesn't cover are left blank.
+ *
+ * @param {{ id: string, label: string, rows: import('./data/overdoseData.js').MonthlyRow[] }[]} series as given to LineChart
+ */
+export function seriesToCsv(series, view) {
+  const keys = Array.from(new Set(series.flatMap((s) => s.rows.map(rowKey)))).sort()
+  const byKey = series.map((s) => new Map(s.rows.map((r) => [rowKey(r), r])))
+  const lines = [
+    `# ${describeView(view)}`,
+    `# Metric: ${view.metricLabel || 'Deaths'}`,
+    `# Source: ${SOURCE_CITATION_TEXT}`,
+    `# Exported: ${new Date().toISOString()}`,
+    ['month', ...series.flatMap((s) => [s.label, `${s.label} (estimate)`])].map(csvField).join(','),
+    ...keys.map((key) =>
+      [
+        key,
+        ...byKey.flatMap((rows) => {
+          const r = rows.get(key)
+          return r ? [r.total, r.isEstimate] : [null, null]
+        }),
+      ]
+        .map(csvField)
+        .join(','),
+    ),
+  ]
+  return `${lines.join('\n')}\n`
+}
+
+/** The chart's series as a JSON document, with the same values as seriesToCsv(). */
+export function seriesToJson(series, view) {
+  return {
+    indicator: view.indicator,
+    state: view.stateName ?? null,
+    metric: view.metricLabel || 'Deaths',
+    range: view.range ?? null,
+    source: SOURCE_CITATION,
+    exportedAt: new Date().toISOString(),
+    series: series.map((s) => ({
+      label: s.label,
+      rows: s.rows.map((r) => ({
+        month: rowKey(r),
+        value: r.total,
+        isEstimate: Boolean(r.isEstimate),
+        lower: r.lower ?? null,
+        upper: r.upper ?? null,
+      })),
+    })),
+  }
+}
+
+export function exportSeriesCsv(series, view) {
+  download(new Blob([seriesToCsv(series, view)], { type: 'text/csv' }), exportFileName(view, 'csv'))
+}
+
+export function exportSeriesJson(series, view) {
+  download(
+    new Blob([`${JSON.stringify(seriesToJson(series, view), null, 2)}\n`], { type: 'application/json' }),
+    exportFileName(view, 'json'),
+  )
+}
+
+// Walks the live element and its clone in step, so interaction layers are dropped from the
+// clone in the same pass (once classes are stripped they can't be found by selector).
+function inlineStyles(source, target) {
+  const computed = getComputedStyle(source)
+  const style = INLINED_PROPERTIES.map((p) => `${p}:${computed.getPropertyValue(p)}`).join(';')
+  target.setAttribute('style', style)
+  target.removeAttribute('class')
+  for (let i = source.children.length - 1; i >= 0; i -= 1) {
+    if (INTERACTIVE_SELECTORS.some((sel) => source.children[i].matches(sel))) target.children[i].remove()
+    else inlineStyles(source.children[i], target.children[i])
+  }
+}
+
+function svgElement(name, attrs = {}, text) {
+  const el = document.createElementNS('http://www.w3.org/2000/svg', name)
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v))
+  if (text !== undefined) el.textContent = text
+  return el
+}
+
+/**
+ * Build a standalone SVG document from the rendered chart: styles inlined, interaction layers
+ * removed, and a title, legend and source citation drawn around it.
+ *
+ * @param {SVGSVGElement} chartSvg the live chart
+ * @param {object} view as for exportFileName(), plus the translated `description` of the chart
+ *   and `sourceLabel` ("Source:"); both fall back to English
+ */
+export function buildStandaloneSvg(chartSvg, view) {
+  const rect = chartSvg.getBoundingClientRect()
+  const width = Math.round(rect.width)
+  const chartHeight = Math.round(rect.height)
+
+  const rootStyle = getComputedStyle(document.documentElement)
+  const background = rootStyle.getPropertyValue('--panel-solid').trim() || '#ffffff'
+  const textColor = rootStyle.getPropertyValue('--text').trim() || '#000000'
+  const mutedColor = rootStyle.getPropertyValue('--muted').trim() || '#555555'
+  const fontFamily = getComputedStyle(chartSvg).getPropertyValue('font-family')
+
+  const legend = Array.from(chartSvg.querySelectorAll('.chartSeries')).map((g) => ({
+    label: g.getAttribute('data-label') ?? '',
+    color: getComputedStyle(g.querySelector('.chartLine') ?? g).getPropertyValue('stroke'),
+  }))
+  const legendHeight = legend.length > 1 ? legend.length * LEGEND_ROW_PX : 0
+  const height = HEADER_PX + legendHeight + chartHeight + FOOTER_PX
+
+  const chart = chartSvg.cloneNode(true)
+  inlineStyles(chartSvg, chart)
+  chart.removeAttribute('tabindex')
+  chart.setAttribute('x', '0')
+  chart.setAttribute('y', String(HEADER_PX + legendHeight))
+  chart.setAttribute('width', String(width))
+  chart.setAttribute('height', String(chartHeight))
+
+  const title = describeView(view)
+  const sourceLabel = view.sourceLabel ?? 'Source:'
+  // XMLSerializer adds the xmlns declaration itself for an element in the SVG namespace.
+  const svg = svgElement('svg', {
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    'font-family': fontFamily,
+  })
+  svg.append(
+    svgElement('title', {}, title),
+    svgElement('desc', {}, `${view.description ?? 'Monthly overdose deaths'}. ${sourceLabel} ${SOURCE_CITATION_TEXT}`),
+  )
+  const metadata = svgElement('metadata')
+  metadata.textContent = JSON.stringify({
+    indicator: view.indicator,
+    state: view.stateName ?? null,
+    metric: view.metricLabel ?? null,
+    range: view.range ?? null,
+    source: SOURCE_CITATION,
+  })
+  svg.append(metadata)
+
+  svg.append(svgElement('rect', { x: 0, y: 0, width, height, fill: background }))
+  svg.append(svgElement('text', { x: 16, y: 28, fill: textColor, 'font-size': 16, 'font-weight': 600 }, title))
+  legend.forEach((item, i) => {
+    const y = HEADER_PX + i * LEGEND_ROW_PX + 12
+    svg.append(svgElement('rect', { x: 16, y: y - 9, width: 12, height: 12, rx: 3, fill: item.color }))
+    svg.append(svgElement('text', { x: 34, y: y + 1, fill: textColor, 'font-size': 12 }, item.label))
+  })
+  svg.append(chart)
+  svg.append(
+    svgElement(
+      'text',
+      { x: 16, y: height - 10, fill: mutedColor, 'font-size': 11 },
+      `${sourceLabel} ${SOURCE_CITATION.title} (${SOURCE_CITATION.publisher}) — ${SOURCE_CITATION.url}`,
+    ),
+  )
+
+  return { markup: new XMLSerializer().serializeToString(svg), width, height }
+}
+
+export function exportChartSvg(chartSvg, view) {
+  const { markup } = buildStandaloneSvg(chartSvg, view)
+  download(new Blob([markup], { type: 'image/svg+xml' }), exportFileName(view, 'svg'))
+}
+
+/**
+ * Rasterize the standalone SVG. `scale` multiplies the on-screen size, so 2 gives a
+ * print-friendly image on a normal display.
+ */
+export async function exportChartPng(chartSvg, view, scale = 2) {
+  const { markup, width, height } = buildStandaloneSvg(chartSvg, view)
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }))
+
+  try {
+    const image = new Image()
+    image.decoding = 'async'
+    image.src = url
+    await image.decode()
+
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(width * scale)
+    canvas.height = Math.round(height * scale)
+    const ctx = canvas.getContext('2d')
+    ctx.scale(scale, scale)
+    ctx.drawImage(image, 0, 0, width, height)
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('Could not encode the PNG.'))), 'image/png')
+    })
+    download(blob, exportFileName(view, 'png'))
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
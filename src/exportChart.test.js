@@ -0,0 +1,70 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest'
+import { buildStandaloneSvg, exportFileName, seriesToCsv, seriesToJson } from './exportChart.js'
+
+const view = { indicator: 'Heroin', stateName: 'New York', metricLabel: 'Rate per 100k', range: null }
+const series = [
+  {
+    id: 'NY|Heroin',
+    label: 'New York',
+    rows: [
+      { monthKey: '2024-01', total: 1.5, isEstimate: false },
+      { monthKey: '2024-02', total: 1.25, isEstimate: true, lower: 1, upper: 1.5 },
+    ],
+  },
+  { id: 'CA|Heroin', label: 'California, US', rows: [{ monthKey: '2024-02', total: 0.75, isEstimate: false }] },
+]
+
+describe('seriesToCsv', () => {
+  it('has a value and an estimate column per series, blank where a series has no month', () => {
+    const lines = seriesToCsv(series, view).trimEnd().split('\n')
+
+    expect(lines.slice(0, 2)).toEqual(['# Heroin · New York · Rate per 100k', '# Metric: Rate per 100k'])
+    expect(lines.slice(4)).toEqual([
+      'month,New York,New York (estimate),"California, US","California, US (estimate)"',
+      '2024-01,1.5,false,,',
+      '2024-02,1.25,true,0.75,false',
+    ])
+  })
+})
+
+describe('seriesToJson', () => {
+  it('lists every series with the values the chart draws', () => {
+    const doc = seriesToJson(series, view)
+
+    expect(doc.metric).toBe('Rate per 100k')
+    expect(doc.series.map((s) => s.label)).toEqual(['New York', 'California, US'])
+    expect(doc.series[0].rows[1]).toEqual({ month: '2024-02', value: 1.25, isEstimate: true, lower: 1, upper: 1.5 })
+  })
+})
+
+describe('exportFileName', () => {
+  it('names the metric when one is selected', () => {
+    expect(exportFileName(view, 'csv')).toBe('overdose-heroin-new-york-rate-per-100k.csv')
+    expect(exportFileName({ ...view, metricLabel: '' }, 'csv')).toBe('overdose-heroin-new-york.csv')
+  })
+
+  it('keeps accented letters without their accents', () => {
+    const spanish = { indicator: 'Heroína', stateName: 'Nueva York', metricLabel: 'Variación interanual' }
+
+    expect(exportFileName(spanish, 'png')).toBe('overdose-heroina-nueva-york-variacion-interanual.png')
+  })
+})
+
+describe('buildStandaloneSvg', () => {
+  it('describes the chart in the language it was given', () => {
+    const chart = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+    document.body.append(chart)
+
+    const { markup } = buildStandaloneSvg(chart, {
+      ...view,
+      description: 'Muertes mensuales por sobredosis',
+      sourceLabel: 'Fuente:',
+    })
+    const doc = new DOMParser().parseFromString(markup, 'image/svg+xml')
+
+    expect(doc.querySelector('desc').textContent).toMatch(/^Muertes mensuales por sobredosis\. Fuente: /)
+    expect(doc.querySelector('svg > text:last-of-type').textContent).toMatch(/^Fuente: /)
+    chart.remove()
+  })
+})
@@ -1,27 +1,22 @@
 import { initializeApp, getApps } from 'firebase/app'
-import { getFirestore } from 'firebase/firestore'
+import { connectAuthEmulator, getAuth } from 'firebase/auth'
+import {
+  connectFirestoreEmulator,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from 'firebase/firestore'
+import {
+  authEmulatorHost,
+  firebaseConfig,
+  firebaseConfigMissing,
+  firestoreEmulatorHost,
+  usingEmulators,
+} from './firebaseConfig.js'
 
-function getEnv(name) {
-  const v = import.meta.env[name]
-  return typeof v === 'string' && v.trim().length > 0 ? v.trim() : ''
-}
-
-const firebaseConfig = {
-  apiKey: getEnv('VITE_FIREBASE_API_KEY'),
-  authDomain: getEnv('VITE_FIREBASE_AUTH_DOMAIN'),
-  projectId: getEnv('VITE_FIREBASE_PROJECT_ID'),
-  appId: getEnv('VITE_FIREBASE_APP_ID'),
-  // Optional:
-  storageBucket: getEnv('VITE_FIREBASE_STORAGE_BUCKET'),
-  messagingSenderId: getEnv('VITE_FIREBASE_MESSAGING_SENDER_ID'),
-}
-
-function missingRequiredConfig(cfg) {
-  const required = ['apiKey', 'authDomain', 'projectId', 'appId']
-  return required.filter((k) => !cfg[k])
-}
-
-export const firebaseConfigMissing = missingRequiredConfig(firebaseConfig)
+// The Firebase app, Firestore and Auth are started when this module is first imported. The
+// voter-facing page only imports it on demand (see src/voteService.js), so an embedded chart
+// never loads or starts them.
 
 export const firebaseApp =
   firebaseConfigMissing.length > 0
@@ -30,4 +25,18 @@ export const firebaseApp =
       ? getApps()[0]
       : initializeApp(firebaseConfig)
 
-export const db = firebaseApp ? getFirestore(firebaseApp) : null
+// Polls and tallies are cached in IndexedDB (shared between tabs), so the vote cards still
+// render from the last known state when the network drops.
+export const db = firebaseApp
+  ? initializeFirestore(firebaseApp, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    })
+  : null
+
+export const auth = firebaseApp ? getAuth(firebaseApp) : null
+
+if (usingEmulators && db && auth) {
+  const [host, port] = firestoreEmulatorHost.split(':')
+  connectFirestoreEmulator(db, host, Number(port))
+  connectAuthEmulator(auth, `http://${authEmulatorHost}`)
+}
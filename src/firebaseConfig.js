@@ -0,0 +1,39 @@
+// The Firebase project settings from the `VITE_FIREBASE_*` environment, read without loading
+// the Firebase SDK, so the page can tell whether voting is configured before it starts it.
+
+function getEnv(name) {
+  const v = import.meta.env[name]
+  return typeof v === 'string' && v.trim().length > 0 ? v.trim() : ''
+}
+
+// Opt-in local development against the Firebase emulators (`npm run emulators`). No real
+// project is needed: a `demo-` project id keeps the SDK from ever reaching production.
+export const usingEmulators = ['1', 'true'].includes(getEnv('VITE_FIREBASE_EMULATORS').toLowerCase())
+
+const EMULATOR_PROJECT_ID = 'demo-votemayer'
+export const firestoreEmulatorHost = getEnv('VITE_FIRESTORE_EMULATOR_HOST') || '127.0.0.1:8080'
+export const authEmulatorHost = getEnv('VITE_FIREBASE_AUTH_EMULATOR_HOST') || '127.0.0.1:9099'
+
+export const firebaseConfig = usingEmulators
+  ? {
+      apiKey: 'demo-key',
+      authDomain: `${EMULATOR_PROJECT_ID}.firebaseapp.com`,
+      projectId: EMULATOR_PROJECT_ID,
+      appId: 'demo-app',
+    }
+  : {
+      apiKey: getEnv('VITE_FIREBASE_API_KEY'),
+      authDomain: getEnv('VITE_FIREBASE_AUTH_DOMAIN'),
+      projectId: getEnv('VITE_FIREBASE_PROJECT_ID'),
+      appId: getEnv('VITE_FIREBASE_APP_ID'),
+      // Optional:
+      storageBucket: getEnv('VITE_FIREBASE_STORAGE_BUCKET'),
+      messagingSenderId: getEnv('VITE_FIREBASE_MESSAGING_SENDER_ID'),
+    }
+
+function missingRequiredConfig(cfg) {
+  const required = ['apiKey', 'authDomain', 'projectId', 'appId']
+  return required.filter((k) => !cfg[k])
+}
+
+export const firebaseConfigMissing = missingRequiredConfig(firebaseConfig)
@@ -0,0 +1,135 @@
+import { Fragment, createElement, isValidElement, useMemo, useSyncExternalStore } from 'react'
+import en from './locales/en.js'
+import es from './locales/es.js'
+
+// UI language. Messages live in flat catalogs under src/locales/, keyed like
+// `chart.noData`; English is the fallback for anything a catalog is missing. The choice is
+// remembered in localStorage (not the URL: auth.js strips Firebase's own `lang` parameter
+// from email-link returns), and first visits follow the browser's language.
+//
+// Only the interface is translated. The dataset's drug and state names come from the CSV as
+// they are, and CSV parsing keeps using the English MONTHS in months.js.
+
+export const LOCALES = [
+  { code: 'en', label: 'English', intl: 'en-US' },
+  { code: 'es', label: 'Español', intl: 'es-US' },
+]
+
+const CATALOGS = { en, es }
+const DEFAULT_LOCALE = 'en'
+const STORAGE_KEY = 'votemayer.locale'
+
+const listeners = new Set()
+
+function supported(code) {
+  return LOCALES.some((l) => l.code === code) ? code : null
+}
+
+function detectLocale() {
+  try {
+    const stored = supported(window.localStorage.getItem(STORAGE_KEY))
+    if (stored) return stored
+  } catch {
+    // Storage can be blocked; fall through to the browser's languages.
+  }
+  for (const tag of navigator.languages ?? [navigator.language]) {
+    const code = supported(String(tag).toLowerCase().split('-')[0])
+    if (code) return code
+  }
+  return DEFAULT_LOCALE
+}
+
+let current = typeof window === 'undefined' ? DEFAULT_LOCALE : detectLocale()
+
+function syncDocumentLang() {
+  if (typeof document !== 'undefined') document.documentElement.lang = current
+}
+syncDocumentLang()
+
+/** The current locale, for code outside React (see useLocale() for components). */
+export function getLocale() {
+  return current
+}
+
+export function setLocale(code) {
+  const next = supported(code) ?? DEFAULT_LOCALE
+  if (next === current) return
+  current = next
+  try {
+    window.localStorage.setItem(STORAGE_KEY, next)
+  } catch {
+    // Not remembered, but still applied for this visit.
+  }
+  syncDocumentLang()
+  for (const listener of listeners) listener()
+}
+
+function subscribe(onChange) {
+  listeners.add(onChange)
+  return () => listeners.delete(onChange)
+}
+
+export function useLocale() {
+  return useSyncExternalStore(
+    subscribe,
+    () => current,
+    () => DEFAULT_LOCALE,
+  )
+}
+
+/**
+ * Look up `key` in the catalog for `locale` and fill in `{name}` placeholders from `params`.
+ * A message may also be `{ one, other, … }` plural forms, chosen by `params.count`.
+ */
+export function translate(locale, key, params = {}) {
+  let message = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key]
+  if (message === undefined) return key
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(intlLocale(locale)).select(Number(params.count ?? 0))
+    message = message[form] ?? message.other
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+}
+
+/**
+ * Like translate(), but params may also be React elements (a `<strong>` count, a `<code>`
+ * path), which are placed where their placeholder is. Returns children to render.
+ */
+export function translateElements(locale, key, params = {}) {
+  const strings = Object.fromEntries(Object.entries(params).filter(([, v]) => !isValidElement(v)))
+  return translate(locale, key, strings)
+    .split(/(\{\w+\})/)
+    .map((part, i) => {
+      const name = /^\{\w+\}$/.test(part) ? part.slice(1, -1) : null
+      return createElement(Fragment, { key: i }, name && name in params ? params[name] : part)
+    })
+}
+
+/** The BCP 47 tag to hand to Intl formatters for a UI locale. */
+export function intlLocale(locale) {
+  return LOCALES.find((l) => l.code === locale)?.intl ?? 'en-US'
+}
+
+/**
+ * The current locale with `t(key, params)` (a string) and `tx(key, params)` (children, see
+ * translateElements()) bound to it.
+ *
+ * @returns {{
+ *   locale: string,
+ *   intl: string,
+ *   t: (key: string, params?: object) => string,
+ *   tx: (key: string, params?: object) => import('react').ReactNode[],
+ * }}
+ */
+export function useI18n() {
+  const locale = useLocale()
+  return useMemo(
+    () => ({
+      locale,
+      intl: intlLocale(locale),
+      t: (key, params) => translate(locale, key, params),
+      tx: (key, params) => translateElements(locale, key, params),
+    }),
+    [locale],
+  )
+}
@@ -0,0 +1,211 @@
+// English UI text, and the fallback for keys another catalog doesn't have. `{name}` is filled
+// in from the params passed to t(); `{ one, other }` entries are plural forms chosen by
+// `count`. Keep keys in the same order in every catalog.
+export default {
+  'app.title': 'Why You Should Vote Mayer for Mayor',
+  'app.source': 'Source:',
+  'app.language': 'Language',
+  'app.settings': 'Display settings',
+  'app.footer': 'Project link',
+  'app.github': 'View this project on GitHub',
+
+  'theme.label': 'Theme',
+  'theme.system': 'Match system',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.highContrast': 'High-contrast chart',
+
+  'embed.openFull': 'Open the full chart',
+
+  'source.region': 'Data source',
+  'source.data': 'Data:',
+  'source.bundled': 'Bundled CDC dataset',
+  'source.open': 'Open CSV or JSON…',
+  'source.useBundled': 'Use bundled dataset',
+  'source.dropHint': 'Or drop a CDC export (CSV or Socrata JSON) anywhere on this card.',
+  'source.asOf': 'Data as of {date}',
+
+  'columns.summary': 'Column mapping',
+  'columns.choose': 'Choose a column…',
+  'columns.notUsed': '(not used)',
+  'columns.unnamed': '(column {n})',
+  'columns.stillNeeded': 'Still needed: {fields}',
+  'columns.apply': 'Apply column mapping',
+
+  'data.loading': 'Loading {source}…',
+  'data.loadError': 'Couldn’t load the data',
+  'data.pickColumns': 'Pick which columns hold the missing fields:',
+  'data.missingFile': 'Make sure the file exists at {path}.',
+  'data.missingColumns': '{format} missing required columns: {missing}. Found headers: {headers}',
+  'data.populationNote': 'Rates use population from the {source}, interpolated between census years.',
+
+  'snapshot.compare': 'Compare with the {date} data',
+  'snapshot.series': '{label} ({date} data)',
+  'snapshot.loading': 'Loading the {date} data…',
+  'snapshot.loadError': 'Couldn’t load the {date} data: {message}',
+  'snapshot.changes': 'Since the {date} data: {changes}.',
+  'snapshot.newMonths': { one: '{count} new month', other: '{count} new months' },
+  'snapshot.revisedMonths': { one: '{count} revised month', other: '{count} revised months' },
+  'snapshot.noChanges': 'No changes to this series since the {date} data.',
+
+  'issues.summary': 'Data notes: {skipped} of {rows} rows skipped',
+  'issues.line': 'Line {line}:',
+  'issues.more': '…and {count} more.',
+  'issues.ragged-row': 'wrong number of fields',
+  'issues.missing-indicator': 'no indicator',
+  'issues.bad-year': 'unreadable year',
+  'issues.bad-month': 'unknown month name',
+  'issues.bad-value': 'non-numeric value',
+  'issues.missing-value': 'no reported or predicted value',
+  'issues.detail.ragged-row': 'Expected {expected} fields, found {found}',
+  'issues.detail.missing-indicator': 'Indicator is empty',
+  'issues.detail.bad-year': 'Year "{value}" is not a whole number',
+  'issues.detail.bad-month': 'Month "{value}" is not a month name',
+  'issues.detail.bad-value': '{field} "{value}" is not a number',
+  'issues.detail.missing-value': 'Neither Data Value nor Predicted Value is present',
+
+  'controls.drug': 'Drug',
+  'controls.state': 'State',
+  'controls.compare': 'Compare',
+  'controls.overlay': 'Overlay',
+  'controls.addState': 'Add a state…',
+  'controls.maxStates': 'Up to {count} states',
+  'controls.addDrug': 'Add a drug…',
+  'controls.maxDrugs': 'Up to {count} drugs',
+  'controls.remove': 'Remove {label}',
+
+  'summary.months': 'Months: {count}',
+  'summary.estimated': '({count} estimated: {range})',
+  'summary.total': 'Total: {total}',
+  'summary.totalWithEstimates': 'Total (incl. estimates): {total}',
+  'summary.latest': 'Latest {metric}: {value}',
+
+  'metric.label': 'Metric',
+  'metric.count.label': 'Raw count',
+  'metric.count.axisTitle': 'Total overdose deaths',
+  'metric.rolling12.label': '12-month rolling sum',
+  'metric.rolling12.axisTitle': 'Deaths, trailing 12 months',
+  'metric.avg3.label': '3-month moving average',
+  'metric.avg3.axisTitle': 'Deaths, 3-month average',
+  'metric.yoy.label': 'Year-over-year change',
+  'metric.yoy.axisTitle': 'Change vs. same month last year (%)',
+  'metric.per100k.label': 'Deaths per 100k',
+  'metric.per100k.axisTitle': 'Deaths per 100,000 residents',
+
+  'chart.ariaLabel': 'Monthly overdose {metric} line chart',
+  'chart.xAxisMonth': 'Month (YYYY-MM)',
+  'chart.stepMonths': 'months',
+  'chart.stepDays': 'days',
+  'chart.keyboardHelp': 'Use the left and right arrow keys to move between {steps}.',
+  'chart.keyboardHelpZoom':
+    'Use the left and right arrow keys to move between {steps}; drag across the chart to zoom into a range.',
+  'chart.series': 'Series',
+  'chart.predictedKey': 'Predicted (provisional estimate)',
+  'chart.resetZoom': 'Reset zoom',
+  'chart.empty': 'No chart data available for this selection.',
+  'chart.noData': 'no data',
+  'chart.noDataTooltip': 'No data',
+  'chart.estimate': '{value} (estimate)',
+  'chart.estimateShort': '{value} (est.)',
+  'chart.predicted': 'Predicted: {value}',
+  'chart.range': 'Range {lower}–{upper}',
+  'chart.complete': '{percent}% complete',
+  'chart.pending': '{percent}% pending investigation',
+  'chart.summaryUp': '{label}: up {change}, from {start} in {startKey} to {latest} in {latestKey}.',
+  'chart.summaryDown': '{label}: down {change}, from {start} in {startKey} to {latest} in {latestKey}.',
+  'chart.summaryFlat': '{label}: about level, {start} in {startKey} and {latest} in {latestKey}.',
+  'chart.summarySingle': '{label}: {latest} in {latestKey}.',
+  'chart.summaryPeak': 'Highest: {peak} in {peakKey}.',
+  'chart.tableCaption': '{label}, as a table',
+
+  'export.menu': 'Export',
+  'export.csv': 'Data (CSV)',
+  'export.json': 'Data (JSON)',
+  'export.svg': 'Chart (SVG)',
+  'export.png': 'Chart (PNG)',
+  'export.pngScale': 'PNG resolution',
+  'export.noChart': 'There is no chart to export.',
+  'export.description': 'Monthly overdose deaths',
+
+  'table.title': 'Data table',
+  'table.monthCount': { one: '({count} month)', other: '({count} months)' },
+  'table.modes': 'Table view',
+  'table.monthly': 'Every month',
+  'table.annual': 'By year',
+  'table.captionMonthly': '{caption} — monthly values',
+  'table.captionAnnual': '{caption} — annual summary',
+  'table.empty': 'No rows for this selection.',
+  'table.col.month': 'Month',
+  'table.col.deaths': 'Deaths',
+  'table.col.status': 'Status',
+  'table.col.percentComplete': '% complete',
+  'table.col.percentPending': '% pending investigation',
+  'table.col.year': 'Year',
+  'table.col.totalDeaths': 'Total deaths',
+  'table.col.change': 'Change vs. previous year',
+  'table.col.peakMonth': 'Peak month',
+  'table.col.months': 'Months',
+  'table.estimate': 'Estimate',
+  'table.reported': 'Reported',
+  'table.partialYear': ' (partial year)',
+  'table.estimatedMonths': ', {count} estimated',
+
+  'polls.region': 'Polls',
+  'polls.disabled':
+    'Voting isn’t configured yet. Add your Firebase config as Vite environment variables (missing: {missing}), or set {emulators} to use the local emulators.',
+  'polls.loading': 'Loading polls…',
+  'polls.loadError': 'Couldn’t load the polls',
+  'polls.none': 'There are no polls right now.',
+  'polls.notConfigured': 'Voting isn’t configured.',
+
+  'poll.opens': 'Opens {date}',
+  'poll.closed': 'Closed {date}',
+  'poll.paused': 'Voting is paused for now.',
+  'poll.openUntil': 'Open until {date}',
+  'poll.live': 'Live',
+  'poll.connecting': 'Reconnecting…',
+  'poll.offline': 'Offline',
+  'poll.resultsAfterVote': 'Results are shown once you’ve voted.',
+  'poll.notOpenYet': 'Voting hasn’t opened yet.',
+  'poll.resultsAfterClose': 'Results are shown when the poll closes.',
+  'poll.totalVotes': 'Total votes: {count}',
+  'poll.votes': { one: '{count} vote', other: '{count} votes' },
+  'poll.summaryNone': 'No votes yet.',
+  'poll.summaryLead': '{option} leads with {percent} ({count} of {votes}).',
+  'poll.summaryWon': '{option} won with {percent} ({count} of {votes}).',
+  'poll.summaryTie': 'Tied: {options}, {percent} each.',
+  'poll.updated': 'Votes updated. {summary}',
+  'poll.error': 'Voting error',
+  'poll.history': 'Vote history',
+  'poll.youVoted': 'You voted {option}.',
+  'poll.youVotedChange': 'You voted {option}. You can change your vote below.',
+  'poll.youVotedPending': 'You voted {option} {pending} — it will be sent when you’re back online.',
+  'poll.pendingSync': 'pending sync',
+  'poll.voting': 'Voting…',
+  'poll.errorBusy':
+    'Lots of people are voting right now and your vote didn’t go through. Please try again in a moment.',
+  'poll.errorRateLimit': {
+    one: 'That was quick! You can change your vote again in {count} second.',
+    other: 'That was quick! You can change your vote again in {count} seconds.',
+  },
+  'poll.errorRejected': 'Your vote wasn’t accepted. The poll may have closed or been paused; reload the page to check.',
+  'poll.errorUnknown': 'Something went wrong and your vote wasn’t recorded. Please try again.',
+  'poll.offlineUndone': 'Your vote from while you were offline couldn’t be recorded and was undone. {reason}',
+
+  'history.empty': 'No votes yet.',
+  'history.ariaLabel': '{title}: share of the vote by day',
+  'history.yAxis': 'Share of votes (%)',
+  'history.xAxis': 'Day',
+  'history.releases': 'Mark overdose data releases',
+
+  'account.signedInAs': 'Signed in as {email}.',
+  'account.signOut': 'Sign out',
+  'account.checkEmail': 'Check {email} for a sign-in link.',
+  'account.anonymous': 'Voting anonymously on this device.',
+  'account.willSignIn': 'Voting signs you in anonymously.',
+  'account.useEmail': 'Use your email instead',
+  'account.email': 'Email',
+  'account.sending': 'Sending…',
+  'account.sendLink': 'Email me a sign-in link',
+  'account.confirmEmail': 'Confirm your email to finish signing in',
+}
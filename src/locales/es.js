@@ -0,0 +1,210 @@
+// Spanish UI text. Same keys as en.js; anything missing here falls back to English.
+export default {
+  'app.title': 'Por qué debes votar por Mayer para alcalde',
+  'app.source': 'Fuente:',
+  'app.language': 'Idioma',
+  'app.settings': 'Opciones de visualización',
+  'app.footer': 'Enlace del proyecto',
+  'app.github': 'Ver este proyecto en GitHub',
+
+  'theme.label': 'Tema',
+  'theme.system': 'Según el sistema',
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'theme.highContrast': 'Gráfico de alto contraste',
+
+  'embed.openFull': 'Abrir el gráfico completo',
+
+  'source.region': 'Fuente de datos',
+  'source.data': 'Datos:',
+  'source.bundled': 'Conjunto de datos de los CDC incluido',
+  'source.open': 'Abrir CSV o JSON…',
+  'source.useBundled': 'Usar el conjunto de datos incluido',
+  'source.dropHint': 'O suelta una exportación de los CDC (CSV o JSON de Socrata) en cualquier parte de esta tarjeta.',
+  'source.asOf': 'Datos al {date}',
+
+  'columns.summary': 'Asignación de columnas',
+  'columns.choose': 'Elige una columna…',
+  'columns.notUsed': '(sin usar)',
+  'columns.unnamed': '(columna {n})',
+  'columns.stillNeeded': 'Faltan: {fields}',
+  'columns.apply': 'Aplicar asignación de columnas',
+
+  'data.loading': 'Cargando {source}…',
+  'data.loadError': 'No se pudieron cargar los datos',
+  'data.pickColumns': 'Elige qué columnas contienen los campos que faltan:',
+  'data.missingFile': 'Asegúrate de que el archivo exista en {path}.',
+  'data.missingColumns': 'Al {format} le faltan columnas obligatorias: {missing}. Encabezados encontrados: {headers}',
+  'data.populationNote': 'Las tasas usan la población del {source}, interpolada entre los años censales.',
+
+  'snapshot.compare': 'Comparar con los datos del {date}',
+  'snapshot.series': '{label} (datos del {date})',
+  'snapshot.loading': 'Cargando los datos del {date}…',
+  'snapshot.loadError': 'No se pudieron cargar los datos del {date}: {message}',
+  'snapshot.changes': 'Desde los datos del {date}: {changes}.',
+  'snapshot.newMonths': { one: '{count} mes nuevo', other: '{count} meses nuevos' },
+  'snapshot.revisedMonths': { one: '{count} mes revisado', other: '{count} meses revisados' },
+  'snapshot.noChanges': 'Sin cambios en esta serie desde los datos del {date}.',
+
+  'issues.summary': 'Notas sobre los datos: se omitieron {skipped} de {rows} filas',
+  'issues.line': 'Línea {line}:',
+  'issues.more': '…y {count} más.',
+  'issues.ragged-row': 'número de campos incorrecto',
+  'issues.missing-indicator': 'sin indicador',
+  'issues.bad-year': 'año ilegible',
+  'issues.bad-month': 'nombre de mes desconocido',
+  'issues.bad-value': 'valor no numérico',
+  'issues.missing-value': 'sin valor reportado ni estimado',
+  'issues.detail.ragged-row': 'Se esperaban {expected} campos y hay {found}',
+  'issues.detail.missing-indicator': 'El indicador está vacío',
+  'issues.detail.bad-year': 'El año "{value}" no es un número entero',
+  'issues.detail.bad-month': 'El mes "{value}" no es un nombre de mes',
+  'issues.detail.bad-value': '{field} "{value}" no es un número',
+  'issues.detail.missing-value': 'No hay Data Value ni Predicted Value',
+
+  'controls.drug': 'Droga',
+  'controls.state': 'Estado',
+  'controls.compare': 'Comparar',
+  'controls.overlay': 'Superponer',
+  'controls.addState': 'Agregar un estado…',
+  'controls.maxStates': 'Hasta {count} estados',
+  'controls.addDrug': 'Agregar una droga…',
+  'controls.maxDrugs': 'Hasta {count} drogas',
+  'controls.remove': 'Quitar {label}',
+
+  'summary.months': 'Meses: {count}',
+  'summary.estimated': '({count} estimados: {range})',
+  'summary.total': 'Total: {total}',
+  'summary.totalWithEstimates': 'Total (incl. estimaciones): {total}',
+  'summary.latest': 'Último valor de {metric}: {value}',
+
+  'metric.label': 'Medida',
+  'metric.count.label': 'Conteo',
+  'metric.count.axisTitle': 'Total de muertes por sobredosis',
+  'metric.rolling12.label': 'Suma móvil de 12 meses',
+  'metric.rolling12.axisTitle': 'Muertes, últimos 12 meses',
+  'metric.avg3.label': 'Promedio móvil de 3 meses',
+  'metric.avg3.axisTitle': 'Muertes, promedio de 3 meses',
+  'metric.yoy.label': 'Cambio interanual',
+  'metric.yoy.axisTitle': 'Cambio frente al mismo mes del año anterior (%)',
+  'metric.per100k.label': 'Muertes por cada 100 mil',
+  'metric.per100k.axisTitle': 'Muertes por cada 100 000 habitantes',
+
+  'chart.ariaLabel': 'Gráfico de líneas mensual de sobredosis: {metric}',
+  'chart.xAxisMonth': 'Mes (AAAA-MM)',
+  'chart.stepMonths': 'meses',
+  'chart.stepDays': 'días',
+  'chart.keyboardHelp': 'Usa las flechas izquierda y derecha para moverte entre {steps}.',
+  'chart.keyboardHelpZoom':
+    'Usa las flechas izquierda y derecha para moverte entre {steps}; arrastra sobre el gráfico para ampliar un intervalo.',
+  'chart.series': 'Series',
+  'chart.predictedKey': 'Estimado (cifra provisional)',
+  'chart.resetZoom': 'Restablecer zoom',
+  'chart.empty': 'No hay datos para graficar con esta selección.',
+  'chart.noData': 'sin datos',
+  'chart.noDataTooltip': 'Sin datos',
+  'chart.estimate': '{value} (estimado)',
+  'chart.estimateShort': '{value} (est.)',
+  'chart.predicted': 'Estimado: {value}',
+  'chart.range': 'Intervalo {lower}–{upper}',
+  'chart.complete': '{percent}% completo',
+  'chart.pending': '{percent}% pendiente de investigación',
+  'chart.summaryUp': '{label}: sube {change}, de {start} en {startKey} a {latest} en {latestKey}.',
+  'chart.summaryDown': '{label}: baja {change}, de {start} en {startKey} a {latest} en {latestKey}.',
+  'chart.summaryFlat': '{label}: sin cambios notables, {start} en {startKey} y {latest} en {latestKey}.',
+  'chart.summarySingle': '{label}: {latest} en {latestKey}.',
+  'chart.summaryPeak': 'Máximo: {peak} en {peakKey}.',
+  'chart.tableCaption': '{label}, en forma de tabla',
+
+  'export.menu': 'Exportar',
+  'export.csv': 'Datos (CSV)',
+  'export.json': 'Datos (JSON)',
+  'export.svg': 'Gráfico (SVG)',
+  'export.png': 'Gráfico (PNG)',
+  'export.pngScale': 'Resolución del PNG',
+  'export.noChart': 'No hay ningún gráfico para exportar.',
+  'export.description': 'Muertes mensuales por sobredosis',
+
+  'table.title': 'Tabla de datos',
+  'table.monthCount': { one: '({count} mes)', other: '({count} meses)' },
+  'table.modes': 'Vista de la tabla',
+  'table.monthly': 'Cada mes',
+  'table.annual': 'Por año',
+  'table.captionMonthly': '{caption}: valores mensuales',
+  'table.captionAnnual': '{caption}: resumen anual',
+  'table.empty': 'No hay filas para esta selección.',
+  'table.col.month': 'Mes',
+  'table.col.deaths': 'Muertes',
+  'table.col.status': 'Estado',
+  'table.col.percentComplete': '% completo',
+  'table.col.percentPending': '% pendiente de investigación',
+  'table.col.year': 'Año',
+  'table.col.totalDeaths': 'Total de muertes',
+  'table.col.change': 'Cambio frente al año anterior',
+  'table.col.peakMonth': 'Mes más alto',
+  'table.col.months': 'Meses',
+  'table.estimate': 'Estimado',
+  'table.reported': 'Reportado',
+  'table.partialYear': ' (año parcial)',
+  'table.estimatedMonths': ', {count} estimados',
+
+  'polls.region': 'Encuestas',
+  'polls.disabled':
+    'La votación aún no está configurada. Agrega la configuración de Firebase como variables de entorno de Vite (faltan: {missing}) o define {emulators} para usar los emuladores locales.',
+  'polls.loading': 'Cargando encuestas…',
+  'polls.loadError': 'No se pudieron cargar las encuestas',
+  'polls.none': 'No hay encuestas en este momento.',
+  'polls.notConfigured': 'La votación no está configurada.',
+
+  'poll.opens': 'Abre el {date}',
+  'poll.closed': 'Cerró el {date}',
+  'poll.paused': 'La votación está en pausa por ahora.',
+  'poll.openUntil': 'Abierta hasta el {date}',
+  'poll.live': 'En vivo',
+  'poll.connecting': 'Reconectando…',
+  'poll.offline': 'Sin conexión',
+  'poll.resultsAfterVote': 'Los resultados se muestran después de votar.',
+  'poll.notOpenYet': 'La votación aún no ha abierto.',
+  'poll.resultsAfterClose': 'Los resultados se muestran cuando cierra la encuesta.',
+  'poll.totalVotes': 'Votos totales: {count}',
+  'poll.votes': { one: '{count} voto', other: '{count} votos' },
+  'poll.summaryNone': 'Todavía no hay votos.',
+  'poll.summaryLead': '{option} va en cabeza con {percent} ({count} de {votes}).',
+  'poll.summaryWon': '{option} ganó con {percent} ({count} de {votes}).',
+  'poll.summaryTie': 'Empate: {options}, con {percent} cada una.',
+  'poll.updated': 'Votos actualizados. {summary}',
+  'poll.error': 'Error al votar',
+  'poll.history': 'Historial de votos',
+  'poll.youVoted': 'Votaste {option}.',
+  'poll.youVotedChange': 'Votaste {option}. Puedes cambiar tu voto abajo.',
+  'poll.youVotedPending': 'Votaste {option} {pending}: se enviará cuando vuelvas a tener conexión.',
+  'poll.pendingSync': 'pendiente de sincronizar',
+  'poll.voting': 'Votando…',
+  'poll.errorBusy':
+    'Hay mucha gente votando en este momento y tu voto no se registró. Inténtalo de nuevo en un momento.',
+  'poll.errorRateLimit': {
+    one: '¡Qué rápido! Podrás cambiar tu voto de nuevo en {count} segundo.',
+    other: '¡Qué rápido! Podrás cambiar tu voto de nuevo en {count} segundos.',
+  },
+  'poll.errorRejected':
+    'Tu voto no fue aceptado. Es posible que la encuesta haya cerrado o esté en pausa; recarga la página para comprobarlo.',
+  'poll.errorUnknown': 'Algo salió mal y tu voto no se registró. Inténtalo de nuevo.',
+  'poll.offlineUndone': 'El voto que emitiste sin conexión no se pudo registrar y se deshizo. {reason}',
+
+  'history.empty': 'Todavía no hay votos.',
+  'history.ariaLabel': '{title}: porcentaje de votos por día',
+  'history.yAxis': 'Porcentaje de votos (%)',
+  'history.xAxis': 'Día',
+  'history.releases': 'Marcar publicaciones de datos de sobredosis',
+
+  'account.signedInAs': 'Sesión iniciada como {email}.',
+  'account.signOut': 'Cerrar sesión',
+  'account.checkEmail': 'Busca en {email} un enlace para iniciar sesión.',
+  'account.anonymous': 'Votas de forma anónima en este dispositivo.',
+  'account.willSignIn': 'Al votar, inicias sesión de forma anónima.',
+  'account.useEmail': 'Usar tu correo electrónico',
+  'account.email': 'Correo electrónico',
+  'account.sending': 'Enviando…',
+  'account.sendLink': 'Enviarme un enlace para iniciar sesión',
+  'account.confirmEmail': 'Confirma tu correo electrónico para terminar de iniciar sesión',
+}
@@ -1,10 +1,30 @@
-import { StrictMode } from 'react'
+import { StrictMode, Suspense, lazy } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 
+// The staff dashboard is its own bundle, so voters never download it. The hosting rewrite in
+// firebase.json serves index.html for /admin too.
+const AdminPage = lazy(() => import('./AdminPage.jsx'))
+const isAdminRoute = window.location.pathname.replace(/\/+$/, '') === '/admin'
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isAdminRoute ? (
+      <Suspense fallback={null}>
+        <AdminPage />
+      </Suspense>
+    ) : (
+      <App />
+    )}
   </StrictMode>,
 )
+
+// Offline support for the built site only; in development it would cache Vite's modules.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((e) => {
+      console.warn('Service worker registration failed:', e)
+    })
+  })
+}
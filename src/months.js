@@ -0,0 +1,47 @@
+// English month names as they appear in the CDC dataset's Month column. These are for
+// parsing only; labels shown to people come from Intl in the UI's locale.
+export const MONTHS = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+]
+
+export const MONTH_TO_NUM = new Map(MONTHS.map((m, i) => [m, i + 1]))
+
+const formatters = new Map()
+
+// Month keys name calendar months, not instants, so they're formatted in UTC to keep the
+// viewer's time zone from shifting them into the previous month.
+function formatterFor(locale, options) {
+  const cacheKey = `${locale}|${JSON.stringify(options)}`
+  if (!formatters.has(cacheKey)) {
+    formatters.set(cacheKey, new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }))
+  }
+  return formatters.get(cacheKey)
+}
+
+function monthKeyToDate(monthKey) {
+  const [y, mm] = String(monthKey).split('-').map(Number)
+  return Number.isInteger(y) && mm >= 1 && mm <= 12 ? new Date(Date.UTC(y, mm - 1, 1)) : null
+}
+
+/** "January 2024" / "enero de 2024" for "2024-01". */
+export function monthKeyToLabel(monthKey, locale = 'en-US') {
+  const date = monthKeyToDate(monthKey)
+  return date ? formatterFor(locale, { month: 'long', year: 'numeric' }).format(date) : String(monthKey)
+}
+
+/** Just the month: "January" / "enero" for "2024-01". */
+export function monthKeyToMonthName(monthKey, locale = 'en-US') {
+  const date = monthKeyToDate(monthKey)
+  return date ? formatterFor(locale, { month: 'long' }).format(date) : String(monthKey)
+}
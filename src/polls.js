@@ -0,0 +1,90 @@
+// Polls as the page uses them, and the ways a vote can fail: the parts of the vote model that
+// don't need Firebase, so the chart and the poll cards can use them before it has loaded (and
+// an embed without it at all). Reading and writing them in Firestore is in votes.js.
+
+/**
+ * @typedef {object} Poll
+ * @property {string} id
+ * @property {string} title
+ * @property {string} prompt
+ * @property {{ id: string, label: string }[]} options in display order
+ * @property {Date | null} opensAt
+ * @property {Date | null} closesAt
+ * @property {'always' | 'after-vote' | 'after-close'} resultsVisibility
+ * @property {number} order
+ * @property {boolean} frozen
+ * @property {Record<string, { title?: string, prompt?: string, options?: Record<string, string> }>} translations
+ */
+
+export function toDate(value) {
+  if (!value) return null
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+export class VoteBusyError extends Error {
+  constructor(cause) {
+    super('Lots of people are voting right now and your vote didn’t go through. Please try again in a moment.')
+    this.name = 'VoteBusyError'
+    this.cause = cause
+  }
+}
+
+export class VoteRateLimitError extends Error {
+  /** @param {number} retryAfterMs how long until the next vote can be cast */
+  constructor(retryAfterMs) {
+    const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000))
+    super(`That was quick! You can change your vote again in ${seconds} second${seconds === 1 ? '' : 's'}.`)
+    this.name = 'VoteRateLimitError'
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+// The server refused the write: the poll closed or was paused, or the rules caught something
+// the client checks missed.
+export class VoteRejectedError extends Error {
+  constructor(cause) {
+    super('Your vote wasn’t accepted. The poll may have closed or been paused; reload the page to check.')
+    this.name = 'VoteRejectedError'
+    this.cause = cause
+  }
+}
+
+/**
+ * `poll` with its title, prompt and option labels in `locale` where the poll document has a
+ * translation, and as written otherwise. Option ids are unchanged, so votes are unaffected.
+ *
+ * @param {Poll} poll
+ * @param {string} locale a UI locale code, e.g. `'es'`
+ * @returns {Poll}
+ */
+export function localizePoll(poll, locale) {
+  const translation = poll.translations[locale]
+  if (!translation) return poll
+  const text = (value, fallback) => (typeof value === 'string' && value.trim() ? value : fallback)
+  return {
+    ...poll,
+    title: text(translation.title, poll.title),
+    prompt: text(translation.prompt, poll.prompt),
+    options: poll.options.map((o) => ({ ...o, label: text(translation.options?.[o.id], o.label) })),
+  }
+}
+
+/** `'upcoming'`, `'open'`, `'frozen'` (open, but paused by staff) or `'closed'` at `now`. */
+export function pollStatus(poll, now = new Date()) {
+  if (poll.opensAt && now < poll.opensAt) return 'upcoming'
+  if (poll.closesAt && now >= poll.closesAt) return 'closed'
+  return poll.frozen ? 'frozen' : 'open'
+}
+
+/** Whether the tally may be shown. firestore.rules enforces the same on the shards. */
+export function resultsVisible(poll, { hasVoted, now = new Date() }) {
+  switch (poll.resultsVisibility) {
+    case 'after-vote':
+      return hasVoted || pollStatus(poll, now) === 'closed'
+    case 'after-close':
+      return pollStatus(poll, now) === 'closed'
+    default:
+      return true
+  }
+}
@@ -0,0 +1,44 @@
+// Proof of work for vote writes, hashcash style: before a ballot is written the client finds
+// a nonce such that SHA-256(`${challenge}:${nonce}`) starts with POW_DIFFICULTY zero hex
+// digits. That takes a browser a moment but makes every scripted vote cost real CPU time.
+//
+// The challenge names the poll, the voter and the ballot's new `lastEvent` id, which is
+// fresh for every write, so a solved nonce can't be replayed. firestore.rules recomputes the
+// hash with the same inputs; verifyProofOfWork() is the same check, so it can be run
+// anywhere Web Crypto is available (browsers and Node) without Firebase.
+
+// Each extra digit makes solving 16 times slower. Keep in step with provedWork() in
+// firestore.rules.
+export const POW_DIFFICULTY = 4
+
+// Hashing in a tight loop would freeze the page; hand control back this often.
+const YIELD_EVERY = 2000
+
+/** The challenge a ballot write has to solve. */
+export function voteChallenge(pollId, uid, eventId) {
+  return `${pollId}:${uid}:${eventId}`
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+/** Whether `nonce` solves `challenge` at `difficulty`. */
+export async function verifyProofOfWork(challenge, nonce, difficulty = POW_DIFFICULTY) {
+  const hash = await sha256Hex(`${challenge}:${nonce}`)
+  return hash.startsWith('0'.repeat(difficulty))
+}
+
+/**
+ * Find a nonce for `challenge`. On average this takes 16^difficulty hashes.
+ *
+ * @returns {Promise<string>} the nonce
+ */
+export async function solveProofOfWork(challenge, difficulty = POW_DIFFICULTY) {
+  for (let n = 0; ; n += 1) {
+    const nonce = n.toString(36)
+    if (await verifyProofOfWork(challenge, nonce, difficulty)) return nonce
+    if (n % YIELD_EVERY === YIELD_EVERY - 1) await new Promise((resolve) => setTimeout(resolve, 0))
+  }
+}
@@ -0,0 +1,43 @@
+import { createHash } from 'node:crypto'
+import { describe, expect, it } from 'vitest'
+import { solveProofOfWork, verifyProofOfWork, voteChallenge } from './proofOfWork.js'
+
+const CHALLENGE = voteChallenge('mayor', 'voter-1', 'event-1')
+
+// Leading zero hex digits of the hash a nonce is judged by, computed independently of the module.
+function leadingZeros(challenge, nonce) {
+  const hash = createHash('sha256').update(`${challenge}:${nonce}`).digest('hex')
+  return hash.length - hash.replace(/^0+/, '').length
+}
+
+describe('proof of work', () => {
+  it('names the poll, the voter and the event in the challenge', () => {
+    expect(CHALLENGE).toBe('mayor:voter-1:event-1')
+  })
+
+  it.each([1, 2])('solves and verifies at difficulty %i', async (difficulty) => {
+    const nonce = await solveProofOfWork(CHALLENGE, difficulty)
+
+    expect(leadingZeros(CHALLENGE, nonce)).toBeGreaterThanOrEqual(difficulty)
+    await expect(verifyProofOfWork(CHALLENGE, nonce, difficulty)).resolves.toBe(true)
+  })
+
+  it.each([
+    ['another poll', voteChallenge('council', 'voter-1', 'event-1')],
+    ['another voter', voteChallenge('mayor', 'voter-2', 'event-1')],
+    ['another event', voteChallenge('mayor', 'voter-1', 'event-2')],
+  ])('rejects the nonce against %s', async (_name, challenge) => {
+    const nonce = await solveProofOfWork(CHALLENGE, 2)
+
+    expect(leadingZeros(challenge, nonce)).toBeLessThan(2)
+    await expect(verifyProofOfWork(challenge, nonce, 2)).resolves.toBe(false)
+  })
+
+  it('rejects the nonce at a higher difficulty than it meets', async () => {
+    const nonce = await solveProofOfWork(CHALLENGE, 2)
+    const met = leadingZeros(CHALLENGE, nonce)
+
+    await expect(verifyProofOfWork(CHALLENGE, nonce, met)).resolves.toBe(true)
+    await expect(verifyProofOfWork(CHALLENGE, nonce, met + 1)).resolves.toBe(false)
+  })
+})
@@ -0,0 +1,69 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest'
+
+const ORIGIN = 'https://votemayer.test'
+const ASSETS = ['/assets/index-abc.js', '/assets/index-abc.css', '/assets/overdoseData.worker-abc.js']
+
+// Just enough of the Cache Storage API for public/sw.js, keyed by path.
+function fakeCaches() {
+  const stores = new Map()
+  const open = async (name) => {
+    if (!stores.has(name)) {
+      const entries = new Map()
+      const pathOf = (request) => new URL(typeof request === 'string' ? request : request.url, ORIGIN).pathname
+      stores.set(name, {
+        entries,
+        match: async (request) => entries.get(pathOf(request))?.clone(),
+        put: async (request, response) => void entries.set(pathOf(request), response),
+        add: async (request) => entries.set(pathOf(request), await fetch(request)),
+        addAll: async (requests) => Promise.all(requests.map((r) => stores.get(name).add(r))),
+        keys: async () => Array.from(entries.keys(), (path) => ({ url: `${ORIGIN}${path}` })),
+        delete: async (request) => entries.delete(pathOf(request)),
+      })
+    }
+    return stores.get(name)
+  }
+  return { stores, open, keys: async () => Array.from(stores.keys()), delete: async (name) => stores.delete(name) }
+}
+
+describe('service worker', () => {
+  const handlers = {}
+  let online = true
+
+  beforeAll(async () => {
+    vi.stubGlobal('caches', fakeCaches())
+    vi.stubGlobal('fetch', async (input) => {
+      if (!online) throw new TypeError('Failed to fetch')
+      const path = new URL(typeof input === 'string' ? input : input.url, ORIGIN).pathname
+      if (path === '/precache-manifest.json') return Response.json({ assets: ASSETS })
+      return new Response(`body of ${path}`)
+    })
+    vi.stubGlobal('self', {
+      location: new URL(ORIGIN),
+      clients: { claim: async () => {} },
+      skipWaiting: () => {},
+      addEventListener: (type, handler) => {
+        handlers[type] = handler
+      },
+    })
+    await import('../public/sw.js')
+  })
+
+  const dispatch = async (type, event) => {
+    let pending
+    handlers[type]({ ...event, waitUntil: (p) => (pending = p), respondWith: (p) => (pending = p) })
+    return pending
+  }
+
+  it('caches the built assets on install, so a later offline load has them', async () => {
+    await dispatch('install', {})
+    await dispatch('activate', {})
+    online = false
+
+    const page = await dispatch('fetch', { request: { url: `${ORIGIN}/`, method: 'GET', mode: 'navigate' } })
+    expect(await page.text()).toBe('body of /')
+    for (const path of ASSETS) {
+      const response = await dispatch('fetch', { request: { url: `${ORIGIN}${path}`, method: 'GET', mode: 'cors' } })
+      expect(await response.text()).toBe(`body of ${path}`)
+    }
+  })
+})
@@ -0,0 +1,77 @@
+import { act } from '@testing-library/react'
+import { vi } from 'vitest'
+
+// Shared by the component tests: a small dataset, a poll, and an in-memory vote service.
+
+/** Two drugs for the whole country: Heroin for two months, Fentanyl for three. */
+export const DATASET = [
+  'State,Year,Month,Indicator,Data Value,State Name',
+  'US,2024,January,Heroin,100,United States',
+  'US,2024,February,Heroin,110,United States',
+  'US,2024,January,Fentanyl,2000,United States',
+  'US,2024,February,Fentanyl,2100,United States',
+  'US,2024,March,Fentanyl,2200,United States',
+].join('\n')
+
+/** An open poll with two options, shaped like the ones votes.js reads from Firestore. */
+export const POLL = {
+  id: 'mayor',
+  title: 'Who should be mayor?',
+  prompt: 'Pick one.',
+  options: [
+    { id: 'alice', label: 'Alice' },
+    { id: 'bob', label: 'Bob' },
+  ],
+  opensAt: null,
+  closesAt: null,
+  resultsVisibility: 'always',
+  order: 0,
+  frozen: false,
+  translations: {},
+}
+
+export const VOTER = { uid: 'voter', isAnonymous: true }
+
+/** Stub `fetch` to serve `csv` as the bundled dataset; everything else is a 404. */
+export function serveDataset(csv = DATASET) {
+  vi.stubGlobal(
+    'fetch',
+    vi.fn(async (url) =>
+      url === '/data/overdoseRates.csv' ? new Response(csv) : new Response('', { status: 404, statusText: 'Not Found' }),
+    ),
+  )
+}
+
+/**
+ * A vote service (see src/voteService.js) whose listeners the test drives. Nothing arrives
+ * until the test pushes it: `push('polls', polls)`, `push('tally', counts)`,
+ * `push('events', events)` or `push('ballot', choice)` send data to the latest listener of
+ * that kind, and `fail(kind, error)` errors it. `castBallot` and `ensureVoter` are mocks.
+ *
+ * @param {Partial<import('../voteService.js').VoteService>} [overrides]
+ */
+export function fakeVoteService(overrides = {}) {
+  const listeners = {}
+  const listen = (kind, onData, onError) => {
+    listeners[kind] = { onData, onError }
+    return () => {}
+  }
+
+  const service = {
+    subscribePolls: (onPolls, onError) => listen('polls', onPolls, onError),
+    subscribeTally: (_pollId, onCounts, onError) =>
+      listen('tally', (counts) => onCounts(counts, { fromCache: false }), onError),
+    subscribeVoteEvents: (_pollId, onEvents, onError) => listen('events', onEvents, onError),
+    subscribeBallot: (_pollId, _uid, onChoice, onError) => listen('ballot', onChoice, onError),
+    castBallot: vi.fn(async () => true),
+    ensureVoter: vi.fn(async () => VOTER),
+    subscribeUser: () => () => {},
+    ...overrides,
+  }
+
+  return {
+    service,
+    push: (kind, data) => act(() => listeners[kind].onData(data)),
+    fail: (kind, error) => act(() => listeners[kind].onError(error)),
+  }
+}
@@ -0,0 +1,117 @@
+import { useSyncExternalStore } from 'react'
+
+// Color theme and chart contrast. The theme is `system` (follow prefers-color-scheme), `light`
+// or `dark`; the high-contrast chart palette defaults to prefers-contrast: more. Both choices
+// are remembered in localStorage and applied as `data-theme` / `data-contrast` on <html>,
+// which index.css keys its tokens off. index.html sets `data-theme` before the first paint
+// with the same rules, so a light-mode visitor doesn't see a dark flash; keep the two in step.
+
+export const THEMES = ['system', 'light', 'dark']
+
+const THEME_KEY = 'votemayer.theme'
+const CONTRAST_KEY = 'votemayer.contrast'
+
+const listeners = new Set()
+
+function media(query) {
+  return typeof window !== 'undefined' && typeof window.matchMedia === 'function' ? window.matchMedia(query) : null
+}
+
+const prefersLight = media('(prefers-color-scheme: light)')
+const prefersMoreContrast = media('(prefers-contrast: more)')
+
+function readStored(key) {
+  try {
+    return window.localStorage.getItem(key)
+  } catch {
+    return null
+  }
+}
+
+function writeStored(key, value) {
+  try {
+    if (value === null) window.localStorage.removeItem(key)
+    else window.localStorage.setItem(key, value)
+  } catch {
+    // Not remembered, but still applied for this visit.
+  }
+}
+
+function initialState() {
+  if (typeof window === 'undefined') return { theme: 'system', highContrast: false }
+  const theme = readStored(THEME_KEY)
+  const contrast = readStored(CONTRAST_KEY)
+  return {
+    theme: THEMES.includes(theme) ? theme : 'system',
+    highContrast: contrast === null ? Boolean(prefersMoreContrast?.matches) : contrast === 'high',
+  }
+}
+
+let current = initialState()
+
+/** The theme actually shown: `theme`, or the system's scheme when it is `system`. */
+export function resolveTheme(theme) {
+  if (theme !== 'system') return theme
+  return prefersLight?.matches ? 'light' : 'dark'
+}
+
+function applyToDocument() {
+  if (typeof document === 'undefined') return
+  const root = document.documentElement
+  root.dataset.theme = resolveTheme(current.theme)
+  if (current.highContrast) root.dataset.contrast = 'high'
+  else delete root.dataset.contrast
+}
+applyToDocument()
+
+function update(next) {
+  current = { ...current, ...next }
+  applyToDocument()
+  for (const listener of listeners) listener()
+}
+
+// Follow the system while the visitor hasn't picked a theme (or contrast) of their own.
+prefersLight?.addEventListener('change', () => {
+  if (current.theme === 'system') update({})
+})
+prefersMoreContrast?.addEventListener('change', (e) => {
+  if (readStored(CONTRAST_KEY) === null) update({ highContrast: e.matches })
+})
+
+// Paper is white: print with the light tokens whatever the screen shows (see the print rules
+// in App.css), then put the chosen theme back.
+if (typeof window !== 'undefined') {
+  window.addEventListener('beforeprint', () => {
+    document.documentElement.dataset.theme = 'light'
+  })
+  window.addEventListener('afterprint', applyToDocument)
+}
+
+/** @param {'system' | 'light' | 'dark'} theme */
+export function setTheme(theme) {
+  const next = THEMES.includes(theme) ? theme : 'system'
+  writeStored(THEME_KEY, next === 'system' ? null : next)
+  update({ theme: next })
+}
+
+/** @param {boolean} highContrast */
+export function setHighContrast(highContrast) {
+  writeStored(CONTRAST_KEY, highContrast ? 'high' : 'normal')
+  update({ highContrast })
+}
+
+function subscribe(onChange) {
+  listeners.add(onChange)
+  return () => listeners.delete(onChange)
+}
+
+const SERVER_STATE = { theme: 'system', highContrast: false }
+
+/** @returns {{ theme: 'system' | 'light' | 'dark', highContrast: boolean }} */
+export function useTheme() {
+  return useSyncExternalStore(
+    subscribe,
+    () => current,
+    () => SERVER_STATE,
+  )
+}
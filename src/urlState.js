@@ -0,0 +1,92 @@
+import { DEFAULT_METRIC } from './data/metrics.js'
+
+// The chart view as it appears in the query string, so a link or a refresh reopens the same
+// view. Indicator names can contain commas, so multi-valued fields repeat their key
+// (`?overlay=A&overlay=B`) rather than joining values.
+
+const VIEW_PARAMS = ['indicator', 'state', 'compare', 'overlay', 'from', 'to', 'metric']
+
+const MONTH_KEY = /^\d{4}-(0[1-9]|1[0-2])$/
+
+/**
+ * @typedef {object} ViewParams
+ * @property {string | null} indicator
+ * @property {string | null} state
+ * @property {string[]} compare
+ * @property {string[]} overlay
+ * @property {{ start: string, end: string } | null} range
+ * @property {string | null} metric
+ */
+
+/**
+ * Read the view from a query string. Values are only checked for shape here; whether an
+ * indicator or state exists depends on the loaded dataset.
+ *
+ * @param {string} search e.g. `window.location.search`
+ * @returns {ViewParams}
+ */
+export function readViewParams(search) {
+  const params = new URLSearchParams(search)
+  const start = params.get('from')
+  const end = params.get('to')
+  const hasRange = MONTH_KEY.test(start ?? '') && MONTH_KEY.test(end ?? '') && start <= end
+
+  return {
+    indicator: params.get('indicator'),
+    state: params.get('state'),
+    compare: params.getAll('compare'),
+    overlay: params.getAll('overlay'),
+    range: hasRange ? { start, end } : null,
+    metric: params.get('metric'),
+  }
+}
+
+/**
+ * Write the view into a query string, keeping any parameters that aren't part of it.
+ * Defaults are left out so the plain URL stays plain.
+ *
+ * @param {{ indicator: string, state: string, compare: string[], overlay: string[],
+ *   range: { start: string, end: string } | null, metric: string }} view
+ * @param {string} search the current query string
+ * @returns {string} `?…`, or `''` when nothing is left
+ */
+export function writeViewParams(view, search) {
+  const params = new URLSearchParams(search)
+  for (const key of VIEW_PARAMS) params.delete(key)
+
+  if (view.indicator) params.set('indicator', view.indicator)
+  if (view.state) params.set('state', view.state)
+  for (const code of view.compare) params.append('compare', code)
+  for (const indicator of view.overlay) params.append('overlay', indicator)
+  if (view.range) {
+    params.set('from', view.range.start)
+    params.set('to', view.range.end)
+  }
+  if (view.metric && view.metric !== DEFAULT_METRIC) params.set('metric', view.metric)
+
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+/**
+ * Whether the page was opened as an embed (`?embed=1`): just the chart and its citation, for
+ * partner sites to show in an iframe.
+ *
+ * @param {string} search
+ */
+export function isEmbedded(search) {
+  return new URLSearchParams(search).get('embed') === '1'
+}
+
+/**
+ * The same query string without the embed flag, for linking from an embed to the full page.
+ *
+ * @param {string} search
+ * @returns {string} `?…`, or `''` when nothing is left
+ */
+export function withoutEmbed(search) {
+  const params = new URLSearchParams(search)
+  params.delete('embed')
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
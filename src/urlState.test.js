@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest'
+import { readViewParams, writeViewParams } from './urlState.js'
+
+const VIEW = {
+  indicator: 'Synthetic opioids, excl. methadone (T40.4)',
+  state: 'NY',
+  compare: ['CA', 'YC'],
+  overlay: ['Heroin (T40.1)', 'Cocaine (T40.5)'],
+  range: { start: '2022-01', end: '2023-12' },
+  metric: 'per100k',
+}
+
+const DEFAULT_VIEW = { indicator: '', state: '', compare: [], overlay: [], range: null, metric: 'count' }
+
+describe('readViewParams', () => {
+  it('reads nothing from an empty query string', () => {
+    expect(readViewParams('')).toEqual({
+      indicator: null,
+      state: null,
+      compare: [],
+      overlay: [],
+      range: null,
+      metric: null,
+    })
+  })
+
+  it('ignores parameters it does not know', () => {
+    expect(readViewParams('?utm_source=mail&%zz=1&state=TX&&=x')).toMatchObject({ state: 'TX', compare: [] })
+  })
+
+  it.each([
+    ['reversed', '?from=2024-06&to=2024-01'],
+    ['missing its end', '?from=2024-01'],
+    ['not a month', '?from=2024-13&to=2024-14'],
+    ['not a date', '?from=last%20year&to=now'],
+    ['a full date', '?from=2024-01-01&to=2024-06-30'],
+  ])('drops a range that is %s', (_name, search) => {
+    expect(readViewParams(search).range).toBeNull()
+  })
+
+  it('keeps a one-month range', () => {
+    expect(readViewParams('?from=2024-03&to=2024-03').range).toEqual({ start: '2024-03', end: '2024-03' })
+  })
+})
+
+describe('writeViewParams', () => {
+  it('leaves the defaults out, so the plain URL stays plain', () => {
+    expect(writeViewParams(DEFAULT_VIEW, '')).toBe('')
+  })
+
+  it('writes no compare or overlay keys when they are empty', () => {
+    expect(writeViewParams({ ...DEFAULT_VIEW, indicator: 'Heroin' }, '?compare=CA&overlay=Heroin')).toBe(
+      '?indicator=Heroin',
+    )
+  })
+
+  it('keeps parameters that are not part of the view', () => {
+    const search = writeViewParams(VIEW, '?embed=1&state=TX&lang=es')
+
+    expect(new URLSearchParams(search).get('embed')).toBe('1')
+    expect(new URLSearchParams(search).get('lang')).toBe('es')
+    expect(new URLSearchParams(search).getAll('state')).toEqual(['NY'])
+  })
+
+  it.each([
+    ['a full view', VIEW],
+    ['the default view', DEFAULT_VIEW],
+    ['a view without a range', { ...VIEW, range: null, compare: [], metric: 'count' }],
+  ])('reads back %s as it was written', (_name, view) => {
+    const read = readViewParams(writeViewParams(view, ''))
+
+    expect(read).toEqual({
+      ...view,
+      indicator: view.indicator || null,
+      state: view.state || null,
+      metric: view.metric === 'count' ? null : view.metric,
+    })
+  })
+
+  // App pushes a history entry only when the written query string differs from the current
+  // one, so writing an unchanged view has to give back exactly the same string.
+  it.each([
+    ['', VIEW],
+    ['?embed=1', VIEW],
+    ['?embed=1', DEFAULT_VIEW],
+    ['?lang=es', { ...VIEW, metric: 'count' }],
+  ])('gives back the same query string for the same view (from %j)', (initial, view) => {
+    const search = writeViewParams(view, initial)
+
+    expect(writeViewParams(view, search)).toBe(search)
+    expect(writeViewParams(readViewParams(search), search)).toBe(search)
+  })
+})
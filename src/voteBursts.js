@@ -0,0 +1,56 @@
+// Spotting bursts of votes: stretches where votes arrive much faster than a poll's usual
+// pace. A burst can be scripted voting or just a link doing the rounds; either way it's worth
+// a look before trusting the tally.
+
+export const BURST_WINDOW_MS = 10 * 60 * 1000
+
+/**
+ * @typedef {object} VoteBurst
+ * @property {Date} start
+ * @property {Date} end
+ * @property {number} count votes in the window
+ * @property {number} expected votes in an average window of the rest of the poll
+ * @property {string} topChoice the option most of the burst went to
+ * @property {number} topShare that option's share of the burst, 0–1
+ */
+
+/**
+ * Split the events into fixed windows from the first vote on and flag the ones with at least
+ * `minVotes` votes and at least `factor` times the average of the other windows.
+ *
+ * @param {import('./votes.js').VoteEvent[]} events oldest first
+ * @returns {VoteBurst[]} oldest first
+ */
+export function findVoteBursts(events, { windowMs = BURST_WINDOW_MS, minVotes = 20, factor = 5 } = {}) {
+  if (events.length === 0) return []
+
+  const first = events[0].at.getTime()
+  const windows = new Map()
+  for (const event of events) {
+    const index = Math.floor((event.at.getTime() - first) / windowMs)
+    const w = windows.get(index) ?? { count: 0, choices: {} }
+    w.count += 1
+    w.choices[event.choice] = (w.choices[event.choice] ?? 0) + 1
+    windows.set(index, w)
+  }
+
+  const windowCount = Math.floor((events[events.length - 1].at.getTime() - first) / windowMs) + 1
+  const bursts = []
+  for (const [index, w] of windows) {
+    // Compare with the rest of the poll, so a big burst doesn't raise its own bar.
+    const expected = windowCount > 1 ? (events.length - w.count) / (windowCount - 1) : 0
+    if (w.count < Math.max(minVotes, factor * expected)) continue
+
+    const [topChoice, topCount] = Object.entries(w.choices).sort((a, b) => b[1] - a[1])[0]
+    const start = first + index * windowMs
+    bursts.push({
+      start: new Date(start),
+      end: new Date(start + windowMs),
+      count: w.count,
+      expected,
+      topChoice,
+      topShare: topCount / w.count,
+    })
+  }
+  return bursts.sort((a, b) => a.start - b.start)
+}
@@ -0,0 +1,59 @@
+// Turn a poll's vote events into day-by-day series for LineChart. Days are local calendar
+// days, keyed "YYYY-MM-DD" so they sort as strings like the chart's month keys.
+
+const dayFormatters = new Map()
+
+export function dayKey(date) {
+  const m = String(date.getMonth() + 1).padStart(2, '0')
+  const d = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${m}-${d}`
+}
+
+export function dayKeyToLabel(key, locale = 'en-US') {
+  if (!dayFormatters.has(locale)) dayFormatters.set(locale, new Intl.DateTimeFormat(locale, { dateStyle: 'medium' }))
+  const [y, m, d] = key.split('-').map(Number)
+  return dayFormatters.get(locale).format(new Date(y, m - 1, d))
+}
+
+/**
+ * Cumulative share of the vote per option at the end of each day, from the first event to
+ * `end`. Days without events repeat the previous share, so the x axis is continuous and
+ * reference dates can be placed on any day.
+ *
+ * @param {import('./votes.js').VoteEvent[]} events oldest first
+ * @param {{ id: string, label: string }[]} options
+ * @param {Date} end last day to include
+ * @returns {{ id: string, label: string, rows: { key: string, total: number, count: number }[] }[]}
+ */
+export function buildShareByDay(events, options, end) {
+  if (events.length === 0) return []
+
+  const counts = new Map(options.map((o) => [o.id, 0]))
+  const rows = new Map(options.map((o) => [o.id, []]))
+  const first = events[0].at
+  const latest = events[events.length - 1].at
+  const lastDay = end > latest ? end : latest
+  let i = 0
+
+  for (
+    let day = new Date(first.getFullYear(), first.getMonth(), first.getDate());
+    day <= lastDay;
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)
+  ) {
+    const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)
+    for (; i < events.length && events[i].at < nextDay; i += 1) {
+      const { choice, previous } = events[i]
+      if (counts.has(choice)) counts.set(choice, counts.get(choice) + 1)
+      if (previous && counts.has(previous)) counts.set(previous, counts.get(previous) - 1)
+    }
+
+    const total = Array.from(counts.values()).reduce((sum, n) => sum + n, 0)
+    const key = dayKey(day)
+    for (const o of options) {
+      const count = counts.get(o.id)
+      rows.get(o.id).push({ key, total: total === 0 ? 0 : (count / total) * 100, count })
+    }
+  }
+
+  return options.map((o) => ({ id: o.id, label: o.label, rows: rows.get(o.id) }))
+}
@@ -0,0 +1,65 @@
+import { useMemo, useSyncExternalStore } from 'react'
+
+// Votes cast without a connection. A vote needs a server transaction (see castBallot), which
+// Firestore's offline cache can't run, so the intent is kept in localStorage and replayed
+// once the connection is back. At most one pending vote is kept per poll: a later click
+// replaces an earlier one, just as it would online.
+
+const STORAGE_KEY = 'votemayer.pendingVotes'
+
+const listeners = new Set()
+
+function read() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? '{}')
+    return parsed && typeof parsed === 'object' ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+function write(pending) {
+  if (Object.keys(pending).length === 0) window.localStorage.removeItem(STORAGE_KEY)
+  else window.localStorage.setItem(STORAGE_KEY, JSON.stringify(pending))
+  for (const listener of listeners) listener()
+}
+
+/** Remember `choice` as the vote to send for `pollId` when the connection returns. */
+export function queueVote(pollId, choice) {
+  write({ ...read(), [pollId]: { choice, queuedAt: new Date().toISOString() } })
+}
+
+export function clearQueuedVote(pollId) {
+  const pending = read()
+  if (!(pollId in pending)) return
+  delete pending[pollId]
+  write(pending)
+}
+
+function subscribe(onChange) {
+  listeners.add(onChange)
+  // Another tab may queue or send a vote too.
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) onChange()
+  }
+  window.addEventListener('storage', onStorage)
+  return () => {
+    listeners.delete(onChange)
+    window.removeEventListener('storage', onStorage)
+  }
+}
+
+/**
+ * The vote waiting to be sent for a poll.
+ *
+ * @returns {{ choice: string, queuedAt: string } | null}
+ */
+export function useQueuedVote(pollId) {
+  // The snapshot must be stable between renders, so compare serialized values.
+  const serialized = useSyncExternalStore(
+    subscribe,
+    () => JSON.stringify(read()[pollId] ?? null),
+    () => 'null',
+  )
+  return useMemo(() => JSON.parse(serialized), [serialized])
+}
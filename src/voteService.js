@@ -0,0 +1,101 @@
+import { firebaseConfigMissing } from './firebaseConfig.js'
+
+// What the voter-facing components (App, Poll, VoteHistory) need from the vote store and the
+// voter's sign-in, as one object. The Firebase one wraps the functions in votes.js and
+// auth.js; anything with the same methods can stand in for it through setVoteService(), e.g.
+// an in-memory fake in a component test.
+// The admin dashboard still talks to Firestore directly (see src/admin.js).
+
+/**
+ * @typedef {object} VoteService
+ * @property {(onPolls: (polls: import('./polls.js').Poll[]) => void, onError: (error: Error) => void) => () => void} subscribePolls
+ * @property {(pollId: string, onCounts: (counts: Record<string, number>, meta: { fromCache: boolean }) => void,
+ *   onError: (error: Error) => void) => () => void} subscribeTally
+ * @property {(pollId: string, onEvents: (events: import('./votes.js').VoteEvent[]) => void,
+ *   onError: (error: Error) => void) => () => void} subscribeVoteEvents
+ * @property {(pollId: string, uid: string, onChoice: (choice: string | null) => void,
+ *   onError: (error: Error) => void) => () => void} subscribeBallot
+ * @property {(pollId: string, uid: string, choice: string) => Promise<boolean>} castBallot
+ *   throws the errors castBallot() in votes.js documents
+ * @property {() => Promise<{ uid: string }>} ensureVoter the signed-in voter, signing in
+ *   anonymously first when there is none
+ * @property {(onUser: (user: import('firebase/auth').User | null) => void) => () => void} subscribeUser
+ *   follow who is signed in
+ */
+
+// Firebase (the SDK, and the app, Firestore and Auth it starts) is loaded the first time the
+// service is used, so a page that never shows a poll, like an embedded chart, never loads it.
+async function loadFirebase() {
+  const [{ onAuthStateChanged }, { ensureSignedIn }, { auth, db }, votes] = await Promise.all([
+    import('firebase/auth'),
+    import('./auth.js'),
+    import('./firebase.js'),
+    import('./votes.js'),
+  ])
+  return { onAuthStateChanged, ensureSignedIn, auth, db, votes }
+}
+
+// A subscription that starts once Firebase has loaded. Unsubscribing before then cancels it.
+function subscribeOnLoad(subscribe, onError) {
+  let unsubscribe = null
+  let stopped = false
+  loadFirebase().then(
+    (firebase) => {
+      if (!stopped) unsubscribe = subscribe(firebase)
+    },
+    (e) => {
+      if (!stopped) onError(e)
+    },
+  )
+  return () => {
+    stopped = true
+    unsubscribe?.()
+  }
+}
+
+/** @returns {VoteService} */
+export function firestoreVoteService() {
+  return {
+    subscribePolls: (onPolls, onError) =>
+      subscribeOnLoad(({ db, votes }) => votes.subscribePolls(db, onPolls, onError), onError),
+    subscribeTally: (pollId, onCounts, onError) =>
+      subscribeOnLoad(({ db, votes }) => votes.subscribeTally(db, pollId, onCounts, onError), onError),
+    subscribeVoteEvents: (pollId, onEvents, onError) =>
+      subscribeOnLoad(({ db, votes }) => votes.subscribeVoteEvents(db, pollId, onEvents, onError), onError),
+    subscribeBallot: (pollId, uid, onChoice, onError) =>
+      subscribeOnLoad(({ db, votes }) => votes.subscribeBallot(db, pollId, uid, onChoice, onError), onError),
+    castBallot: async (pollId, uid, choice) => {
+      const { db, votes } = await loadFirebase()
+      return votes.castBallot(db, pollId, uid, choice)
+    },
+    ensureVoter: async () => (await loadFirebase()).ensureSignedIn(),
+    subscribeUser: (onUser) =>
+      subscribeOnLoad(
+        ({ auth, onAuthStateChanged }) => onAuthStateChanged(auth, onUser),
+        (e) => console.error('Couldn’t load sign-in:', e),
+      ),
+  }
+}
+
+/**
+ * The service in use: Firestore when Firebase is configured, otherwise null (voting off).
+ * Importers see replacements, as with any `export let`.
+ *
+ * @type {VoteService | null}
+ */
+export let voteService = firebaseConfigMissing.length === 0 ? firestoreVoteService() : null
+
+/**
+ * Swap in another vote service (or null to turn voting off), before the components that use
+ * it mount. Returns a function that puts the previous one back.
+ *
+ * @param {VoteService | null} service
+ * @returns {() => void}
+ */
+export function setVoteService(service) {
+  const previous = voteService
+  voteService = service
+  return () => {
+    voteService = previous
+  }
+}
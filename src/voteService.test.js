@@ -0,0 +1,42 @@
+import { describe, expect, it, vi } from 'vitest'
+
+const loaded = vi.hoisted(() => ({ firebase: false }))
+const votes = vi.hoisted(() => ({ unsubscribe: () => {} }))
+
+vi.mock('./firebase.js', () => {
+  loaded.firebase = true
+  return { auth: {}, db: { name: 'db' } }
+})
+vi.mock('./votes.js', () => ({
+  subscribePolls: vi.fn(() => votes.unsubscribe),
+}))
+
+describe('firestoreVoteService', () => {
+  it('loads Firebase on first use, not on import', async () => {
+    const { firestoreVoteService } = await import('./voteService.js')
+    const service = firestoreVoteService()
+    expect(loaded.firebase).toBe(false)
+
+    votes.unsubscribe = vi.fn()
+    const onPolls = vi.fn()
+    const unsubscribe = service.subscribePolls(onPolls, vi.fn())
+
+    const { subscribePolls } = await import('./votes.js')
+    await vi.waitFor(() => expect(subscribePolls).toHaveBeenCalledWith({ name: 'db' }, onPolls, expect.any(Function)))
+    expect(loaded.firebase).toBe(true)
+
+    unsubscribe()
+    expect(votes.unsubscribe).toHaveBeenCalled()
+  })
+
+  it('drops a subscription ended before Firebase has loaded', async () => {
+    const { firestoreVoteService } = await import('./voteService.js')
+    const { subscribePolls } = await import('./votes.js')
+    subscribePolls.mockClear()
+
+    firestoreVoteService().subscribePolls(vi.fn(), vi.fn())()
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(subscribePolls).not.toHaveBeenCalled()
+  })
+})
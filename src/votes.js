@@ -0,0 +1,258 @@
+import {
+  collection,
+  doc,
+  increment,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+} from 'firebase/firestore'
+import { VoteBusyError, VoteRateLimitError, VoteRejectedError, toDate } from './polls.js'
+import { solveProofOfWork, voteChallenge } from './proofOfWork.js'
+
+// Each question the campaign asks is a poll document, `polls/{pollId}`:
+//
+//   {
+//     title: string,
+//     prompt: string,
+//     options: { [optionId]: { label: string, order: number } },
+//     opensAt: Timestamp | null,     // null: open from the start
+//     closesAt: Timestamp | null,    // null: never closes
+//     resultsVisibility: 'always' | 'after-vote' | 'after-close',
+//     order: number,                 // position on the page
+//     frozen: boolean,               // optional; voting paused by staff (see src/admin.js)
+//     translations: {                // optional; per UI locale (see src/i18n.js)
+//       [locale]: { title?: string, prompt?: string, options?: { [optionId]: string } },
+//     },
+//   }
+//
+// Polls are written by hand (console or seed script); voters only read them, and staff can
+// only freeze them from /admin. Votes go under the poll:
+//
+// - `ballots/{uid}`: one per voter, `{ choice, shard, lastEvent, pow, createdAt, updatedAt }`.
+//   `pow` is the proof of work for this write (see src/proofOfWork.js).
+// - `shards/{0..SHARD_COUNT-1}`: `{ counts: { [optionId]: number }, updatedAt }`. The tally is
+//   the sum over shards. Firestore sustains about one write per second on a single document,
+//   so each vote picks a shard at random instead of every voter contending for one counter.
+// - `events/{eventId}`: `{ choice, previous, at }` for every first vote or switch, with a
+//   server timestamp, so the history of the tally can be rebuilt. Events carry no uid; only
+//   the voter's own ballot (`lastEvent`) links back to them.
+//
+// A ballot, its shard and its event change together in one transaction; firestore.rules
+// checks that the shard moved by exactly the ballot's change and that there's one event each,
+// and that a ballot changes at most once every MIN_VOTE_INTERVAL_MS.
+
+// firestore.rules only accepts single-digit shard ids; raise both together.
+export const SHARD_COUNT = 10
+
+export const RESULTS_VISIBILITY = ['always', 'after-vote', 'after-close']
+
+// Transactions are retried on contention; a burst on one ballot is rare, so a few more
+// attempts than the default are cheap insurance.
+const MAX_ATTEMPTS = 8
+
+const BUSY_CODES = new Set(['aborted', 'resource-exhausted', 'unavailable', 'deadline-exceeded'])
+
+// The shortest time between two changes to one ballot. firestore.rules enforces the same
+// interval (see notTooSoon()); checking it here first saves a refused write.
+export const MIN_VOTE_INTERVAL_MS = 10 * 1000
+
+/** @typedef {import('./polls.js').Poll} Poll */
+
+/** @returns {Poll} */
+function pollFromSnapshot(snap) {
+  const data = snap.data() ?? {}
+  const options = Object.entries(data.options ?? {})
+    .map(([id, option]) => ({ id, label: String(option?.label ?? id), order: Number(option?.order ?? 0) }))
+    .sort((a, b) => a.order - b.order || a.id.localeCompare(b.id))
+    .map(({ id, label }) => ({ id, label }))
+
+  return {
+    id: snap.id,
+    title: String(data.title ?? ''),
+    prompt: String(data.prompt ?? ''),
+    options,
+    opensAt: toDate(data.opensAt),
+    closesAt: toDate(data.closesAt),
+    resultsVisibility: RESULTS_VISIBILITY.includes(data.resultsVisibility) ? data.resultsVisibility : 'always',
+    order: Number.isFinite(Number(data.order)) ? Number(data.order) : 0,
+    frozen: data.frozen === true,
+    translations: data.translations && typeof data.translations === 'object' ? data.translations : {},
+  }
+}
+
+/**
+ * Follow every poll, in page order.
+ *
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {(polls: Poll[]) => void} onPolls
+ * @param {(error: Error) => void} onError
+ * @returns {() => void} unsubscribe
+ */
+export function subscribePolls(db, onPolls, onError) {
+  return onSnapshot(
+    collection(db, 'polls'),
+    (snap) => {
+      const polls = snap.docs.map(pollFromSnapshot).filter((p) => p.options.length > 0)
+      onPolls(polls.sort((a, b) => a.order - b.order || a.id.localeCompare(b.id)))
+    },
+    onError,
+  )
+}
+
+/**
+ * Follow the tally for a poll, summed across its shards. `fromCache` is true while the counts
+ * come from the offline cache rather than the server.
+ *
+ * @param {(counts: Record<string, number>, meta: { fromCache: boolean }) => void} onCounts votes per option id
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeTally(db, pollId, onCounts, onError) {
+  return onSnapshot(
+    collection(db, 'polls', pollId, 'shards'),
+    { includeMetadataChanges: true },
+    (snap) => {
+      const counts = {}
+      snap.forEach((shard) => {
+        for (const [optionId, value] of Object.entries(shard.data()?.counts ?? {})) {
+          const n = Number(value)
+          if (Number.isFinite(n)) counts[optionId] = (counts[optionId] ?? 0) + n
+        }
+      })
+      onCounts(counts, { fromCache: snap.metadata.fromCache })
+    },
+    onError,
+  )
+}
+
+/**
+ * @typedef {object} VoteEvent
+ * @property {string} id
+ * @property {string} choice option id voted for
+ * @property {string | null} previous option id the vote moved away from, if any
+ * @property {Date} at server time (estimated locally until the write is confirmed)
+ */
+
+/**
+ * Follow every vote event of a poll, oldest first.
+ *
+ * @param {(events: VoteEvent[]) => void} onEvents
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeVoteEvents(db, pollId, onEvents, onError) {
+  return onSnapshot(
+    query(collection(db, 'polls', pollId, 'events'), orderBy('at')),
+    (snap) => {
+      const events = []
+      snap.forEach((event) => {
+        const data = event.data({ serverTimestamps: 'estimate' }) ?? {}
+        const at = toDate(data.at)
+        if (at && typeof data.choice === 'string') {
+          events.push({
+            id: event.id,
+            choice: data.choice,
+            previous: typeof data.previous === 'string' ? data.previous : null,
+            at,
+          })
+        }
+      })
+      onEvents(events)
+    },
+    onError,
+  )
+}
+
+/**
+ * Follow one voter's ballot. `onChoice` gets the option id, or `null` before they vote.
+ *
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeBallot(db, pollId, uid, onChoice, onError) {
+  return onSnapshot(
+    doc(db, 'polls', pollId, 'ballots', uid),
+    (snap) => {
+      const choice = snap.exists() ? snap.data()?.choice : null
+      onChoice(typeof choice === 'string' ? choice : null)
+    },
+    onError,
+  )
+}
+
+// When this client last changed each ballot, keyed by `${pollId}/${uid}`, so repeated clicks
+// are turned away before any proof of work is done.
+const lastVoteAt = new Map()
+
+// `since` may be a server time; capping the wait keeps a slow local clock from locking the
+// voter out for longer than the interval.
+function checkRateLimit(since, now = Date.now()) {
+  const wait = Math.min(since + MIN_VOTE_INTERVAL_MS - now, MIN_VOTE_INTERVAL_MS)
+  if (wait > 0) throw new VoteRateLimitError(wait)
+}
+
+/**
+ * Record `choice` as the voter's ballot. Voting the same way again changes nothing; switching
+ * moves one count from the old option to the new one.
+ *
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} pollId
+ * @param {string} uid
+ * @param {string} choice option id
+ * @returns {Promise<boolean>} whether the tally changed
+ * @throws {VoteRateLimitError} when the ballot changed less than MIN_VOTE_INTERVAL_MS ago
+ * @throws {VoteBusyError} when the write kept losing to other voters
+ * @throws {VoteRejectedError} when the rules refused the write
+ */
+export async function castBallot(db, pollId, uid, choice) {
+  const key = `${pollId}/${uid}`
+  checkRateLimit(lastVoteAt.get(key) ?? 0)
+
+  const ballotRef = doc(db, 'polls', pollId, 'ballots', uid)
+  const shard = String(Math.floor(Math.random() * SHARD_COUNT))
+  const shardRef = doc(db, 'polls', pollId, 'shards', shard)
+  const eventRef = doc(collection(db, 'polls', pollId, 'events'))
+  // Solved once; retries of the transaction reuse the same event id and so the same nonce.
+  const pow = await solveProofOfWork(voteChallenge(pollId, uid, eventRef.id))
+
+  try {
+    const changed = await runTransaction(
+      db,
+      async (tx) => {
+        const ballotSnap = await tx.get(ballotRef)
+        const ballot = ballotSnap.exists() ? ballotSnap.data() ?? {} : {}
+        const previous = typeof ballot.choice === 'string' ? ballot.choice : null
+        if (previous === choice) return false
+        // The ballot may have changed from another tab or device.
+        const updatedAt = toDate(ballot.updatedAt)
+        if (updatedAt) checkRateLimit(updatedAt.getTime())
+
+        tx.set(
+          ballotRef,
+          {
+            choice,
+            shard,
+            lastEvent: eventRef.id,
+            pow,
+            createdAt: ballotSnap.exists() ? ballot.createdAt ?? serverTimestamp() : serverTimestamp(),
+            updatedAt: serverTimestamp(),
+          },
+          { merge: true },
+        )
+        // increment() is applied server-side, so the shard isn't read and concurrent voters
+        // landing on the same shard don't abort each other's transactions.
+        const counts = { [choice]: increment(1) }
+        if (previous) counts[previous] = increment(-1)
+        tx.set(shardRef, { counts, updatedAt: serverTimestamp() }, { merge: true })
+        tx.set(eventRef, { choice, previous, at: serverTimestamp() })
+        return true
+      },
+      { maxAttempts: MAX_ATTEMPTS },
+    )
+    if (changed) lastVoteAt.set(key, Date.now())
+    return changed
+  } catch (e) {
+    if (BUSY_CODES.has(e?.code)) throw new VoteBusyError(e)
+    if (e?.code === 'permission-denied') throw new VoteRejectedError(e)
+    throw e
+  }
+}
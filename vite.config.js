@@ -1,7 +1,46 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Lists the built files the service worker (public/sw.js) caches on install, so the page
+// loads offline after the first visit even though the worker is registered after the
+// bundles were fetched. That includes the lazily loaded Firebase chunks the polls need, but
+// not the /admin dashboard's: voters never need them.
+const ADMIN_ENTRY = /\/src\/AdminPage\.jsx$/
+
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    generateBundle(_options, bundle) {
+      const chunks = new Map(
+        Object.values(bundle)
+          .filter((file) => file.type === 'chunk')
+          .map((chunk) => [chunk.fileName, chunk]),
+      )
+      const voterChunks = new Set()
+      const visit = (fileName) => {
+        const chunk = chunks.get(fileName)
+        if (!chunk || voterChunks.has(fileName) || ADMIN_ENTRY.test(chunk.facadeModuleId ?? '')) return
+        voterChunks.add(fileName)
+        for (const next of [...chunk.imports, ...chunk.dynamicImports]) visit(next)
+      }
+      for (const chunk of chunks.values()) if (chunk.isEntry) visit(chunk.fileName)
+
+      const files = Object.values(bundle)
+        .filter((file) => file.type === 'asset' || voterChunks.has(file.fileName))
+        .map((file) => `/${file.fileName}`)
+        .filter((path) => path.startsWith('/assets/'))
+        .sort()
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: `${JSON.stringify({ assets: files }, null, 2)}\n`,
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
 })